@@ -2,6 +2,8 @@ using System.Threading;
 using Microsoft.AspNetCore.SignalR.Client;
 using Valour.Client.Components.Utility;
 using Valour.Client.Device;
+using Valour.Client.Sounds;
+using Valour.Client.Toast;
 using Valour.Sdk.Client;
 using Valour.Sdk.Models;
 using Valour.Shared;
@@ -14,6 +16,8 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
 {
     private readonly ValourClient _client;
     private readonly RealtimeKitHostService _rtkHost;
+    private readonly SoundManager _soundManager;
+    private readonly RealtimeKitDeviceService _deviceService;
     private readonly SemaphoreSlim _joinLock = new(1, 1);
 
     private static readonly TimeSpan TokenRequestTimeout = TimeSpan.FromSeconds(12);
@@ -24,6 +28,14 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
     private static readonly TimeSpan JoinTimeout = TimeSpan.FromSeconds(25);
     private static readonly TimeSpan LeaveTimeout = TimeSpan.FromSeconds(8);
     private static readonly TimeSpan RtkHostReadyTimeout = TimeSpan.FromSeconds(2);
+    private static readonly TimeSpan CallStatsInterval = TimeSpan.FromSeconds(2);
+
+    // Recordings are held in the tab's memory until they are saved
+    public static readonly TimeSpan MaxRecordingDuration = TimeSpan.FromHours(2);
+    public const long MaxRecordingBytes = 1024L * 1024 * 1024;
+
+    // Consecutive poor stats samples before warning about our own connection
+    private const int WeakConnectionSamples = 3;
 
     private CancellationTokenSource? _participantRefreshLoopCts;
     private Task? _participantRefreshLoopTask;
@@ -34,20 +46,43 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
     private IDisposable? _voiceModerationSubscription;
 
     private readonly HashSet<long> _moderatorMutedParticipantUserIds = new();
+    private readonly HashSet<string> _speakingPeerIds = new(StringComparer.Ordinal);
+    private readonly HashSet<string> _recordingPeerIds = new(StringComparer.Ordinal);
+    private readonly Dictionary<string, string> _participantQuality = new(StringComparer.Ordinal);
+    private int _poorQualitySamples;
+    private RealtimeKitComponent? _subscribedRtk;
     private readonly string _voiceSessionId = Guid.NewGuid().ToString("N");
 
     private bool _disposed;
 
     public event Action? StateChanged;
 
-    public GlobalCallSessionService(ValourClient client, RealtimeKitHostService rtkHost)
+    /// <summary>
+    /// Raised whenever new call stats arrive, which is more often than <see cref="StateChanged"/>.
+    /// </summary>
+    public event Action? CallStatsChanged;
+
+    /// <summary>
+    /// Raised when a device is plugged in or out during a call, including any automatic switch.
+    /// </summary>
+    public event Action<RealtimeKitDeviceChange>? DeviceChanged;
+
+    public GlobalCallSessionService(ValourClient client, RealtimeKitHostService rtkHost, SoundManager soundManager,
+        RealtimeKitDeviceService deviceService)
     {
         _client = client;
         _rtkHost = rtkHost;
+        _soundManager = soundManager;
+        _deviceService = deviceService;
 
         DevicePreferences.OnMicrophoneDeviceIdChanged += OnMicrophoneSelected;
         DevicePreferences.OnCameraDeviceIdChanged += OnCameraSelected;
+        DevicePreferences.OnSpeakerDeviceIdChanged += OnSpeakerSelected;
+        DevicePreferences.OnMicGateSettingsChanged += ApplyMicGateAsync;
         BrowserUtils.Focused += OnAppResumed;
+        BrowserUtils.Blurred += OnAppBlurred;
+        KeyboardListener.KeyDown += OnKeyDown;
+        KeyboardListener.KeyUp += OnKeyUp;
     }
 
     public Channel? ActiveChannel { get; private set; }
@@ -63,11 +98,67 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
     public RealtimeKitParticipantsSnapshot? ParticipantsSnapshot { get; private set; }
     public long ParticipantsVersion { get; private set; }
     public IReadOnlyCollection<long> ModeratorMutedParticipantUserIds => _moderatorMutedParticipantUserIds;
+    public IReadOnlyCollection<string> SpeakingPeerIds => _speakingPeerIds;
+    public string? DominantSpeakerPeerId { get; private set; }
+    public long SpeakingVersion { get; private set; }
+
+    /// <summary>
+    /// False while push-to-talk or voice activity is holding the mic closed.
+    /// </summary>
+    public bool MicTransmitting { get; private set; } = true;
+
+    /// <summary>
+    /// True while this client is recording the call to a local file.
+    /// </summary>
+    public bool Recording { get; private set; }
+
+    /// <summary>
+    /// Peer ids of everyone recording the call, including this client.
+    /// </summary>
+    public IReadOnlyCollection<string> RecordingPeerIds => _recordingPeerIds;
+
+    /// <summary>
+    /// The latest WebRTC stats for the call, or null before the first sample.
+    /// </summary>
+    public RealtimeKitCallStats? CallStats { get; private set; }
+
+    /// <summary>
+    /// False when stats can't be read in this call, so <see cref="CallStats"/> stays empty.
+    /// </summary>
+    public bool CallStatsAvailable { get; private set; } = true;
+
+    /// <summary>
+    /// Connection quality per peer id. See <see cref="CallQuality"/>.
+    /// </summary>
+    public IReadOnlyDictionary<string, string> ParticipantQuality => _participantQuality;
+
+    /// <summary>
+    /// True after our own connection has been poor for several samples in a row.
+    /// </summary>
+    public bool WeakConnection { get; private set; }
     public string VoiceSessionId => _voiceSessionId;
 
     private RealtimeKitComponent? Rtk => _rtkHost.Component;
 
-    public async Task InitializeAsync(Channel channel, bool videoMode)
+    /// <summary>
+    /// Joins the channel's call. Join options come from the pre-join preview; without them
+    /// the mic is turned on and the camera is left off.
+    /// </summary>
+    public async Task InitializeAsync(Channel channel, bool videoMode, CallJoinOptions? joinOptions = null)
+    {
+        try
+        {
+            await JoinAsync(channel, videoMode, joinOptions);
+        }
+        finally
+        {
+            // The green room hands its tracks over before joining. Whatever the call didn't
+            // take, which is all of them when joining failed, is stopped here.
+            await ReleasePreviewHandoffAsync();
+        }
+    }
+
+    private async Task JoinAsync(Channel channel, bool videoMode, CallJoinOptions? joinOptions)
     {
         if (_disposed)
             return;
@@ -142,11 +233,18 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
             Joined = true;
             Connecting = false;
             AppLifecycle.NotifyCallStarted();
+            await ApplyAudioOutputAsync(rtk);
+            await PlayJoinCallSoundAsync();
 
             try
             {
-                if (await EnsureMicrophonePermissionAsync())
+                if (joinOptions?.MicEnabled == false)
                 {
+                    AudioEnabled = false;
+                }
+                else if (await EnsureMicrophonePermissionAsync())
+                {
+                    await ApplyMicProcessingAsync(rtk);
                     await rtk.EnableAudioAsync();
                     await SetMicAsync(DevicePreferences.MicrophoneDeviceId);
                 }
@@ -160,10 +258,30 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
                 AudioEnabled = false;
             }
 
+            if (videoMode && joinOptions?.CameraEnabled == true)
+            {
+                try
+                {
+                    await ApplyBackgroundEffectAsync(rtk);
+                    await rtk.EnableVideoAsync();
+                    await SetCameraAsync(DevicePreferences.CameraDeviceId);
+                }
+                catch
+                {
+                    // The camera can still be turned on from the call controls.
+                }
+            }
+
             await RefreshStateFromSdkAsync();
             await RefreshParticipantsAsync();
             StartParticipantRefreshLoop();
             StartHeartbeatLoop();
+            SubscribeToRtkEvents(rtk);
+            await ApplyMicGateAsync();
+            await StartSpeakingDetectionAsync(rtk);
+            await StartRecordingWatchAsync(rtk);
+            await StartCallStatsAsync(rtk);
+            await StartDeviceWatchAsync(rtk);
             NotifyStateChanged();
         }
         catch (Exception ex)
@@ -242,6 +360,7 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
                     return;
                 }
 
+                await ApplyBackgroundEffectAsync(rtk);
                 await rtk.EnableVideoAsync();
                 await SetCameraAsync(DevicePreferences.CameraDeviceId);
             }
@@ -291,6 +410,57 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
         NotifyStateChanged();
     }
 
+    public async Task StartRecordingAsync()
+    {
+        var rtk = Rtk;
+        if (rtk is null || !Joined || Recording)
+            return;
+
+        try
+        {
+            await rtk.StartRecordingAsync(new CallRecordingOptions
+            {
+                IncludeScreenShare = VideoMode,
+                FileName = $"{ActiveChannel?.Name ?? "Call"} {DateTime.Now:yyyy-MM-dd HH-mm}",
+                MaxDurationSeconds = (int)MaxRecordingDuration.TotalSeconds,
+                MaxBytes = MaxRecordingBytes
+            });
+
+            Recording = true;
+        }
+        catch (Exception ex)
+        {
+            Error = GetExceptionMessage(ex, "Failed to start recording.");
+        }
+
+        NotifyStateChanged();
+    }
+
+    /// <summary>
+    /// Stops recording and saves the file. Returns the file name, or null if nothing was saved.
+    /// </summary>
+    public async Task<string?> StopRecordingAsync()
+    {
+        var rtk = Rtk;
+        if (rtk is null || !Recording)
+            return null;
+
+        string? fileName = null;
+
+        try
+        {
+            fileName = await rtk.StopRecordingAsync();
+        }
+        catch (Exception ex)
+        {
+            Error = GetExceptionMessage(ex, "Failed to save the recording.");
+        }
+
+        Recording = false;
+        NotifyStateChanged();
+        return fileName;
+    }
+
     public async Task SendModerationActionAsync(long targetUserId, bool isSelf, string action)
     {
         if (ActiveChannel is null || isSelf || targetUserId <= 0 || _client.PrimaryNode is null)
@@ -362,6 +532,14 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
 
         await StopHeartbeatLoopAsync();
         await StopParticipantRefreshLoopAsync();
+        UnsubscribeFromRtkEvents();
+        StopSpeakingDetection();
+        MicTransmitting = true;
+
+        // Leaving the room saves any recording on the JS side
+        Recording = false;
+        _recordingPeerIds.Clear();
+        ClearCallStats();
 
         Joined = false;
         Connecting = false;
@@ -606,6 +784,381 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
         }
     }
 
+    private void SubscribeToRtkEvents(RealtimeKitComponent rtk)
+    {
+        UnsubscribeFromRtkEvents();
+
+        rtk.SpeakingChanged += OnSpeakingChanged;
+        rtk.DominantSpeakerChanged += OnDominantSpeakerChanged;
+        rtk.MicGateChanged += OnMicGateChanged;
+        rtk.RecordingStateChanged += OnRecordingStateChanged;
+        rtk.RecordingLimitReached += OnRecordingLimitReached;
+        rtk.CallStatsUpdated += OnCallStatsUpdated;
+        rtk.DeviceChanged += OnDeviceChanged;
+        _subscribedRtk = rtk;
+    }
+
+    private void UnsubscribeFromRtkEvents()
+    {
+        if (_subscribedRtk is null)
+            return;
+
+        _subscribedRtk.SpeakingChanged -= OnSpeakingChanged;
+        _subscribedRtk.DominantSpeakerChanged -= OnDominantSpeakerChanged;
+        _subscribedRtk.MicGateChanged -= OnMicGateChanged;
+        _subscribedRtk.RecordingStateChanged -= OnRecordingStateChanged;
+        _subscribedRtk.RecordingLimitReached -= OnRecordingLimitReached;
+        _subscribedRtk.CallStatsUpdated -= OnCallStatsUpdated;
+        _subscribedRtk.DeviceChanged -= OnDeviceChanged;
+        _subscribedRtk = null;
+    }
+
+    private async Task StartSpeakingDetectionAsync(RealtimeKitComponent rtk)
+    {
+        StopSpeakingDetection();
+
+        try
+        {
+            await rtk.StartSpeakingDetectionAsync();
+        }
+        catch
+        {
+            // Speaking indicators are cosmetic; the call works without them.
+        }
+    }
+
+    // The JS side stops detecting when the room is left, so this only has to drop local state
+    private void StopSpeakingDetection()
+    {
+        if (_speakingPeerIds.Count == 0 && DominantSpeakerPeerId is null)
+            return;
+
+        _speakingPeerIds.Clear();
+        DominantSpeakerPeerId = null;
+        SpeakingVersion++;
+    }
+
+    private void OnSpeakingChanged(string peerId, bool speaking)
+    {
+        var changed = speaking
+            ? _speakingPeerIds.Add(peerId)
+            : _speakingPeerIds.Remove(peerId);
+
+        if (!changed)
+            return;
+
+        SpeakingVersion++;
+        NotifyStateChanged();
+    }
+
+    private void OnDominantSpeakerChanged(string? peerId)
+    {
+        if (string.Equals(DominantSpeakerPeerId, peerId, StringComparison.Ordinal))
+            return;
+
+        DominantSpeakerPeerId = peerId;
+        SpeakingVersion++;
+        NotifyStateChanged();
+    }
+
+    private static async Task StartDeviceWatchAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            await rtk.StartDeviceWatchAsync(DevicePreferences.MicrophoneDeviceId, DevicePreferences.CameraDeviceId);
+        }
+        catch
+        {
+            // Without it, unplugged devices have to be switched by hand.
+        }
+    }
+
+    // Keeps the devices the JS side restores in step with the user's choice
+    private async Task UpdatePreferredDevicesAsync()
+    {
+        var rtk = Rtk;
+        if (rtk is null || !Joined)
+            return;
+
+        try
+        {
+            await rtk.SetPreferredDevicesAsync(DevicePreferences.MicrophoneDeviceId, DevicePreferences.CameraDeviceId);
+        }
+        catch
+        {
+            // Ignore; the previous preference stays in place.
+        }
+    }
+
+    private void OnDeviceChanged(RealtimeKitDeviceChange change)
+    {
+        DeviceChanged?.Invoke(change);
+
+        // Devices the call isn't using only matter to device lists
+        if (change.Action is RealtimeKitDeviceChange.Added or RealtimeKitDeviceChange.Removed)
+            return;
+
+        var title = change.Kind == "videoinput" ? "Camera Changed" : "Microphone Changed";
+        ToastContainer.Instance.AddToast(new ToastData(title, change.Message,
+            change.Action == RealtimeKitDeviceChange.Unavailable ? ToastProgressState.Failure : null));
+
+        _ = RefreshAfterDeviceSwitchAsync();
+    }
+
+    private async Task RefreshAfterDeviceSwitchAsync()
+    {
+        try
+        {
+            await RefreshStateFromSdkAsync();
+            await RefreshParticipantsAsync();
+        }
+        catch
+        {
+            // The next participant refresh picks up the new tracks.
+        }
+
+        NotifyStateChanged();
+    }
+
+    private async Task StartCallStatsAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            CallStatsAvailable = await rtk.StartCallStatsAsync((int)CallStatsInterval.TotalMilliseconds);
+        }
+        catch
+        {
+            // Stats are informational; the call works without them.
+            CallStatsAvailable = false;
+        }
+
+        CallStatsChanged?.Invoke();
+    }
+
+    private void ClearCallStats()
+    {
+        CallStats = null;
+        _participantQuality.Clear();
+        _poorQualitySamples = 0;
+        WeakConnection = false;
+        CallStatsChanged?.Invoke();
+    }
+
+    private void OnCallStatsUpdated(RealtimeKitCallStats stats)
+    {
+        CallStats = stats;
+        CallStatsChanged?.Invoke();
+
+        var changed = false;
+        var peerIds = new HashSet<string>(StringComparer.Ordinal);
+
+        foreach (var participant in stats.Participants)
+        {
+            if (string.IsNullOrWhiteSpace(participant.PeerId))
+                continue;
+
+            peerIds.Add(participant.PeerId);
+            if (_participantQuality.TryGetValue(participant.PeerId, out var quality) &&
+                string.Equals(quality, participant.Quality, StringComparison.Ordinal))
+                continue;
+
+            _participantQuality[participant.PeerId] = participant.Quality;
+            changed = true;
+        }
+
+        foreach (var peerId in _participantQuality.Keys.Where(x => !peerIds.Contains(x)).ToList())
+        {
+            _participantQuality.Remove(peerId);
+            changed = true;
+        }
+
+        // A single bad sample is common on any network, so only warn when it persists
+        var self = stats.Participants.FirstOrDefault(x => x.IsSelf);
+        _poorQualitySamples = self?.Quality == CallQuality.Poor ? _poorQualitySamples + 1 : 0;
+
+        var weakConnection = _poorQualitySamples >= WeakConnectionSamples;
+        if (weakConnection != WeakConnection)
+        {
+            WeakConnection = weakConnection;
+            changed = true;
+        }
+
+        if (changed)
+            NotifyStateChanged();
+    }
+
+    private static async Task StartRecordingWatchAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            await rtk.StartRecordingWatchAsync();
+        }
+        catch
+        {
+            // Without it, only local recordings show the indicator.
+        }
+    }
+
+    private void OnRecordingStateChanged(string peerId, bool recording)
+    {
+        var changed = recording
+            ? _recordingPeerIds.Add(peerId)
+            : _recordingPeerIds.Remove(peerId);
+
+        if (changed)
+            NotifyStateChanged();
+    }
+
+    private void OnRecordingLimitReached(string? fileName)
+    {
+        Recording = false;
+        NotifyStateChanged();
+
+        ToastContainer.Instance.AddToast(new ToastData("Recording Saved",
+            $"The recording reached its limit and was saved as {fileName ?? "a file"}. Start a new one to keep recording.",
+            ToastProgressState.Success));
+    }
+
+    private async Task PlayJoinCallSoundAsync()
+    {
+        try
+        {
+            await _soundManager.PlaySound(SoundEvent.JoinCall);
+        }
+        catch
+        {
+            // The call works without the sound.
+        }
+    }
+
+    private static async Task ApplyMicProcessingAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            await rtk.SetMicProcessingAsync(DevicePreferences.GetMicProcessingSettings());
+        }
+        catch
+        {
+            // Ignore processing failures; the unprocessed mic is sent instead.
+        }
+    }
+
+    private static async Task ApplyBackgroundEffectAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            await rtk.SetBackgroundEffectAsync(DevicePreferences.BackgroundEffect);
+        }
+        catch
+        {
+            // Ignore effect failures; the camera is sent as is.
+        }
+    }
+
+    private static async Task ApplyAudioOutputAsync(RealtimeKitComponent rtk)
+    {
+        try
+        {
+            await rtk.SetAudioOutputDeviceAsync(DevicePreferences.SpeakerDeviceId);
+        }
+        catch
+        {
+            // Ignore; call audio keeps playing through the system default.
+        }
+    }
+
+    private async Task ReleasePreviewHandoffAsync()
+    {
+        try
+        {
+            await _deviceService.ReleasePreviewHandoffAsync();
+        }
+        catch
+        {
+            // Ignore; leftover preview tracks are also stopped when the call ends.
+        }
+    }
+
+    private async Task ApplyMicGateAsync()
+    {
+        var rtk = Rtk;
+        if (rtk is null || !Joined)
+            return;
+
+        var options = new MicGateOptions
+        {
+            Mode = DevicePreferences.MicInputMode switch
+            {
+                MicInputMode.PushToTalk => "pushToTalk",
+                MicInputMode.VoiceActivity => "voiceActivity",
+                _ => "open"
+            },
+            Threshold = DevicePreferences.VoiceActivityThreshold / 100.0,
+            ReleaseDelayMs = DevicePreferences.MicReleaseDelayMs
+        };
+
+        try
+        {
+            await rtk.SetMicGateAsync(options);
+        }
+        catch
+        {
+            // Ignore gate failures; the mic stays open.
+        }
+    }
+
+    private void OnMicGateChanged(bool open)
+    {
+        if (MicTransmitting == open)
+            return;
+
+        MicTransmitting = open;
+        NotifyStateChanged();
+    }
+
+    private async Task SetPushToTalkActiveAsync(bool active)
+    {
+        var rtk = Rtk;
+        if (rtk is null || !Joined || DevicePreferences.MicInputMode != MicInputMode.PushToTalk)
+            return;
+
+        try
+        {
+            await rtk.SetPushToTalkActiveAsync(active);
+        }
+        catch
+        {
+            // Ignore push-to-talk failures during teardown.
+        }
+    }
+
+    private async Task OnKeyDown(KeyboardListener.KeyboardEvent e)
+    {
+        if (e.Repeat || !string.Equals(e.Code, DevicePreferences.PushToTalkKey, StringComparison.Ordinal))
+            return;
+
+        // Typing the key in the chat input or another field should not key the mic.
+        // Key up still releases, in case focus moved into a field while talking.
+        if (e.EditableTarget)
+            return;
+
+        await SetPushToTalkActiveAsync(true);
+    }
+
+    private async Task OnKeyUp(KeyboardListener.KeyboardEvent e)
+    {
+        if (!string.Equals(e.Code, DevicePreferences.PushToTalkKey, StringComparison.Ordinal))
+            return;
+
+        await SetPushToTalkActiveAsync(false);
+    }
+
+    // Key up is never seen once the app loses focus, so release push-to-talk with it
+    private Task OnAppBlurred()
+    {
+        return SetPushToTalkActiveAsync(false);
+    }
+
     private void StartParticipantRefreshLoop()
     {
         if (_participantRefreshLoopTask is { IsCompleted: false })
@@ -728,6 +1281,7 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
         try
         {
             await SetMicAsync(id);
+            await UpdatePreferredDevicesAsync();
         }
         catch
         {
@@ -740,6 +1294,7 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
         try
         {
             await SetCameraAsync(id);
+            await UpdatePreferredDevicesAsync();
         }
         catch
         {
@@ -747,6 +1302,15 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
         }
     }
 
+    private async Task OnSpeakerSelected(string? id)
+    {
+        var rtk = Rtk;
+        if (rtk is null)
+            return;
+
+        await ApplyAudioOutputAsync(rtk);
+    }
+
     private async Task OnAppResumed()
     {
         if (!Joined || ActiveChannel is null || Rtk is null)
@@ -976,7 +1540,12 @@ public sealed class GlobalCallSessionService : IAsyncDisposable
 
         DevicePreferences.OnMicrophoneDeviceIdChanged -= OnMicrophoneSelected;
         DevicePreferences.OnCameraDeviceIdChanged -= OnCameraSelected;
+        DevicePreferences.OnSpeakerDeviceIdChanged -= OnSpeakerSelected;
+        DevicePreferences.OnMicGateSettingsChanged -= ApplyMicGateAsync;
         BrowserUtils.Focused -= OnAppResumed;
+        BrowserUtils.Blurred -= OnAppBlurred;
+        KeyboardListener.KeyDown -= OnKeyDown;
+        KeyboardListener.KeyUp -= OnKeyUp;
         _voiceSessionReplaceSubscription?.Dispose();
         _voiceSessionReplaceSubscription = null;
         _voiceModerationSubscription?.Dispose();
@@ -17,6 +17,116 @@ const SDK_SCRIPT_PATH = "_content/Valour.Client/js/realtimekit.js";
 let sdkScriptLoadPromise = null;
 let sdkScriptLoadError = null;
 
+// Participant audio can optionally play through a WebAudio graph
+// (source -> compressor -> gain -> panner), which allows panning, gain past 100% and normalizing.
+const MAX_PARTICIPANT_GAIN = 2;
+const SPATIAL_PAN_SPREAD = 0.8;
+let callAudioContext = null;
+const participantAudioGraphs = new Map();
+
+// Speaking detection samples each participant's audio level and reports changes to .NET.
+// Speaking starts above the start level and only stops after staying under the (lower)
+// stop level for the hold time, so short pauses between words don't flicker.
+const SPEAKING_POLL_INTERVAL_MS = 100;
+const SPEAKING_START_LEVEL = 0.03;
+const SPEAKING_STOP_LEVEL = 0.015;
+const SPEAKING_HOLD_MS = 600;
+const DOMINANT_SPEAKER_SWITCH_MS = 1200;
+let speakingDetector = null;
+
+// Mic gating keeps the local mic track disabled (sending silence) until push-to-talk is held
+// or the voice level crosses the threshold. Levels are read from a clone of the track, since
+// a disabled track only reads silence. Thresholds and the meter are fractions of the max level.
+const MIC_GATE_POLL_INTERVAL_MS = 50;
+const MIC_METER_MAX_LEVEL = 0.25;
+const MAX_MIC_RELEASE_DELAY_MS = 2000;
+const MIC_GATE_MODES = ["open", "pushToTalk", "voiceActivity"];
+const micGate = {
+    mode: "open",
+    threshold: 0.15,
+    releaseDelayMs: 250,
+    pushToTalkHeld: false,
+    open: true,
+    closeAt: null,
+    dotNetRef: null
+};
+let micGateTimer = null;
+let micMonitor = null;
+let micMeterElementId = null;
+let micPreviewStream = null;
+
+// The outgoing mic can run through an AudioWorklet chain (see micProcessorWorklet.js), added
+// to the SDK as an audio middleware. Noise suppression runs the bundled RNNoise model, and is
+// reported unavailable when it can't be loaded.
+const MIC_PROCESSOR_WORKLET_PATH = "_content/Valour.Client/js/micProcessorWorklet.js";
+const NOISE_SUPPRESSION_MODEL_PATH = "_content/Valour.Client/js/rnnoise/rnnoise.wasm";
+let micProcessing = null;
+const micProcessorNodes = new Set();
+let noiseSuppressionModulePromise = null;
+let noiseSuppressionModule = null;
+let micTest = null;
+
+// Local recording mixes every participant's audio (and optionally the active screen share,
+// drawn onto a canvas) into a MediaRecorder. Join/leave events become WebM chapters, added
+// when the file is saved. Other participants are told through room broadcasts so everyone
+// can show a recording indicator.
+const RECORDING_MESSAGE_TYPE = "valour-recording";
+const RECORDING_SYNC_INTERVAL_MS = 1000;
+const RECORDING_TIMESLICE_MS = 1000;
+const RECORDING_VIDEO_WIDTH = 1280;
+const RECORDING_VIDEO_HEIGHT = 720;
+const RECORDING_VIDEO_FPS = 15;
+let recording = null;
+let recordingWatch = null;
+
+// Call stats poll getStats() on the SDK's peer connections, which js/peerConnectionCapture.js
+// collects before the SDK loads. Stats are matched to participants by track id, and each
+// participant gets a 0-100 quality score.
+const CALL_STATS_DEFAULT_INTERVAL_MS = 2000;
+const CALL_STATS_MIN_INTERVAL_MS = 1000;
+const QUALITY_GOOD_SCORE = 80;
+const QUALITY_FAIR_SCORE = 50;
+let callStats = null;
+
+// Device hot-swap listens for devicechange while in a call. When the mic or camera in use
+// disappears the call falls back to the system default, and it switches back to the preferred
+// device once that returns. Every change is reported to .NET with a readable message.
+const DEVICE_CHANGE_DEBOUNCE_MS = 500;
+const HOT_SWAP_KINDS = ["audioinput", "videoinput"];
+let deviceWatch = null;
+
+// The pre-join preview opens the camera and mic outside the meeting, so users can check how
+// they look and sound before joining. Its tracks can be handed to the meeting on join instead
+// of opening the devices again. Call audio plays to the chosen output through setSinkId.
+const OUTPUT_TEST_NOTES = [660, 880];
+const OUTPUT_TEST_NOTE_SECONDS = 0.3;
+const OUTPUT_TEST_DURATION_MS = 1000;
+let preview = null;
+let previewVersion = 0;
+let previewHandoff = null;
+let audioOutputDeviceId = null;
+let outputTest = null;
+const participantAudioElementIds = new Set();
+
+// Background effects cut the person out of the camera with MediaPipe Selfie Segmentation (see
+// js/selfieSegmentation/README.md), then draw them over a blurred, solid color or image
+// background. They run as an SDK video middleware, which draws each frame onto a canvas first.
+// When the model can't be loaded, effects are reported unavailable and the camera is sent as is.
+const SELFIE_SEGMENTATION_PATH = "_content/Valour.Client/js/selfieSegmentation/";
+const SELFIE_SEGMENTATION_SCRIPT = "selfie_segmentation.js";
+const SELFIE_SEGMENTATION_LOAD_TIMEOUT_MS = 20000;
+// The landscape model is the faster one, and fits camera video
+const SELFIE_SEGMENTATION_MODEL = 1;
+const BACKGROUND_EFFECT_MODES = ["none", "blur", "color", "image"];
+const MAX_BACKGROUND_BLUR_PX = 40;
+const DEFAULT_BACKGROUND_COLOR = "#1e1f22";
+const MASK_FEATHER_PX = 3;
+const BACKGROUND_PREVIEW_INTERVAL_MS = 50;
+let backgroundEffect = null;
+let backgroundImage = null;
+let segmentationModelPromise = null;
+let segmentationModel = null;
+
 function getGlobalScope() {
     if (typeof window !== 'undefined') {
         return window;
@@ -40,20 +150,24 @@ function getRealtimeKitClient() {
     return sdk;
 }
 
-function resolveSdkScriptUrl() {
+function resolveContentUrl(path) {
     try {
         if (typeof document !== "undefined" && typeof document.baseURI === "string") {
-            return new URL(SDK_SCRIPT_PATH, document.baseURI).toString();
+            return new URL(path, document.baseURI).toString();
         }
 
         if (typeof location !== "undefined" && typeof location.href === "string") {
-            return new URL(SDK_SCRIPT_PATH, location.href).toString();
+            return new URL(path, location.href).toString();
         }
     } catch {
         // Ignore invalid base URI and fallback to the raw path.
     }
 
-    return SDK_SCRIPT_PATH;
+    return path;
+}
+
+function resolveSdkScriptUrl() {
+    return resolveContentUrl(SDK_SCRIPT_PATH);
 }
 
 function isSdkScriptSource(source) {
@@ -397,11 +511,19 @@ function getMeetingOrThrow() {
     return meeting;
 }
 
+// The browser's noise suppression is turned off while the WASM model is doing the job
+function getAudioConstraints() {
+    const useModel = micProcessing?.noiseSuppression?.enabled === true && noiseSuppressionModule !== null;
+    return useModel
+        ? { ...DEFAULT_AUDIO_CONSTRAINTS, noiseSuppression: false }
+        : DEFAULT_AUDIO_CONSTRAINTS;
+}
+
 async function applyDefaultAudioConstraints(activeMeeting) {
     try {
         const track = activeMeeting.self?.audioTrack;
         if (track && typeof track.applyConstraints === "function") {
-            await track.applyConstraints(DEFAULT_AUDIO_CONSTRAINTS);
+            await track.applyConstraints(getAudioConstraints());
         }
     } catch {
         // Browser does not support applying these constraints — silently continue.
@@ -476,6 +598,16 @@ export async function joinRoom(timeoutMs = 25000) {
 }
 
 export async function leaveRoom(endCall = false) {
+    // Saves the recording before the tracks go away
+    await stopRecording();
+    stopRecordingWatch();
+    stopCallStats();
+    stopDeviceWatch();
+    stopSpeakingDetection();
+    resetMicGate();
+    releasePreviewHandoff();
+    releaseAllParticipantAudioGraphs();
+
     if (!meeting) {
         return;
     }
@@ -493,8 +625,12 @@ export async function leaveRoom(endCall = false) {
 
 export async function enableAudio() {
     const activeMeeting = getMeetingOrThrow();
-    await activeMeeting.self.enableAudio();
+    await activeMeeting.self.enableAudio(takePreviewTrack("audio") ?? undefined);
     await applyDefaultAudioConstraints(activeMeeting);
+    await applyMicProcessing(activeMeeting);
+
+    // Unmuting turns the track on, even when push-to-talk isn't held
+    applyMicGateToTrack();
 }
 
 export async function disableAudio() {
@@ -504,7 +640,8 @@ export async function disableAudio() {
 
 export async function enableVideo() {
     const activeMeeting = getMeetingOrThrow();
-    await activeMeeting.self.enableVideo();
+    await activeMeeting.self.enableVideo(takePreviewTrack("video") ?? undefined);
+    await applyBackgroundEffect(activeMeeting);
 }
 
 export async function disableVideo() {
@@ -526,6 +663,13 @@ export async function disableScreenShare() {
 
 export async function setDevice(device) {
     const activeMeeting = getMeetingOrThrow();
+
+    // Already capturing from it, e.g. with a track handed over from the preview
+    const track = getSelfDeviceTrack(activeMeeting, device?.kind);
+    if (device?.deviceId && track?.readyState === "live" && track.getSettings?.().deviceId === device.deviceId) {
+        return;
+    }
+
     await activeMeeting.self.setDevice(device);
 
     if (device?.kind === "audioinput") {
@@ -533,6 +677,207 @@ export async function setDevice(device) {
     }
 }
 
+function getDeviceKindName(kind) {
+    switch (kind) {
+        case "audioinput":
+            return "microphone";
+        case "videoinput":
+            return "camera";
+        case "audiooutput":
+            return "speaker";
+        default:
+            return "device";
+    }
+}
+
+function getDeviceLabel(device) {
+    const label = typeof device?.label === "string" ? device.label.trim() : "";
+    return label.length > 0 ? label : `Unnamed ${getDeviceKindName(device?.kind)}`;
+}
+
+async function listMediaDevices() {
+    if (!canUseMediaDevices() || typeof navigator.mediaDevices.enumerateDevices !== "function") {
+        return [];
+    }
+
+    try {
+        return await navigator.mediaDevices.enumerateDevices();
+    } catch {
+        return [];
+    }
+}
+
+function getCurrentDeviceId(activeMeeting, kind) {
+    const current = activeMeeting?.self?.getCurrentDevices?.();
+    const device = kind === "audioinput" ? current?.audio : current?.video;
+    return device?.deviceId ?? null;
+}
+
+function getSelfDeviceTrack(activeMeeting, kind) {
+    const self = activeMeeting?.self;
+    return kind === "audioinput"
+        ? self?.rawAudioTrack ?? self?.audioTrack ?? null
+        : self?.rawVideoTrack ?? self?.videoTrack ?? null;
+}
+
+function notifyDeviceWatch(kind, action, device, message) {
+    const dotNetRef = deviceWatch?.dotNetRef;
+    if (!dotNetRef) {
+        return;
+    }
+
+    dotNetRef.invokeMethodAsync("OnDeviceChanged", {
+        kind,
+        action,
+        deviceId: device?.deviceId ?? null,
+        label: device ? getDeviceLabel(device) : null,
+        message
+    }).catch(() => {
+        // The component may have been disposed while a call was ending.
+    });
+}
+
+async function trySetDevice(kind, device) {
+    try {
+        await setDevice({ kind, deviceId: device.deviceId });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Returns true when the kind was switched (or couldn't be), so it isn't also reported as added/removed
+async function hotSwapDevice(watch, activeMeeting, kind, devices, previousDevices) {
+    const ofKind = devices.filter((device) => device.kind === kind && device.deviceId);
+    const name = getDeviceKindName(kind);
+    const currentId = getCurrentDeviceId(activeMeeting, kind);
+
+    const preferredId = watch.preferred[kind];
+    const preferred = preferredId ? ofKind.find((device) => device.deviceId === preferredId) : null;
+    if (preferred && currentId !== preferredId) {
+        if (await trySetDevice(kind, preferred)) {
+            notifyDeviceWatch(kind, "restored", preferred, `${getDeviceLabel(preferred)} is back, so the call switched to it.`);
+        }
+
+        return true;
+    }
+
+    // An unplugged device can also leave its id listed (e.g. "default") with an ended track
+    const currentMissing = currentId !== null && !ofKind.some((device) => device.deviceId === currentId);
+    const trackEnded = getSelfDeviceTrack(activeMeeting, kind)?.readyState === "ended";
+    if (!currentMissing && !trackEnded) {
+        return false;
+    }
+
+    const lost = previousDevices.find((device) => device.kind === kind && device.deviceId === currentId);
+    const lostLabel = lost ? getDeviceLabel(lost) : `Your ${name}`;
+    const fallback = ofKind.find((device) => device.deviceId === "default") ?? ofKind[0] ?? null;
+
+    if (fallback && await trySetDevice(kind, fallback)) {
+        notifyDeviceWatch(kind, "fallback", fallback, `${lostLabel} was disconnected. Switched to ${getDeviceLabel(fallback)}.`);
+    } else {
+        notifyDeviceWatch(kind, "unavailable", lost ?? null, `${lostLabel} was disconnected and no other ${name} is available.`);
+    }
+
+    return true;
+}
+
+async function handleDeviceChange(watch) {
+    const activeMeeting = meeting;
+    if (deviceWatch !== watch || !activeMeeting) {
+        return;
+    }
+
+    const previousDevices = watch.devices;
+    const devices = await listMediaDevices();
+    watch.devices = devices;
+
+    const deviceKey = (device) => `${device.kind}:${device.deviceId}`;
+    const previousKeys = new Set(previousDevices.map(deviceKey));
+    const currentKeys = new Set(devices.map(deviceKey));
+
+    const swappedKinds = new Set();
+    for (const kind of HOT_SWAP_KINDS) {
+        // Cameras are only opened while video is on
+        if (kind === "videoinput" && !activeMeeting.self?.videoEnabled) {
+            continue;
+        }
+
+        if (await hotSwapDevice(watch, activeMeeting, kind, devices, previousDevices)) {
+            swappedKinds.add(kind);
+        }
+    }
+
+    for (const device of previousDevices) {
+        if (!currentKeys.has(deviceKey(device)) && !swappedKinds.has(device.kind)) {
+            notifyDeviceWatch(device.kind, "removed", device, `${getDeviceLabel(device)} was disconnected.`);
+        }
+    }
+
+    for (const device of devices) {
+        if (!previousKeys.has(deviceKey(device)) && !swappedKinds.has(device.kind)) {
+            notifyDeviceWatch(device.kind, "added", device, `${getDeviceLabel(device)} was connected.`);
+        }
+    }
+}
+
+export function startDeviceWatch(dotNetRef, microphoneId = null, cameraId = null) {
+    stopDeviceWatch();
+
+    if (!canUseMediaDevices() || typeof navigator.mediaDevices.addEventListener !== "function") {
+        return false;
+    }
+
+    const watch = {
+        dotNetRef,
+        preferred: { audioinput: microphoneId || null, videoinput: cameraId || null },
+        devices: [],
+        timer: null,
+        listener: null
+    };
+
+    // Plugging in a headset fires several events in a row
+    watch.listener = () => {
+        clearTimeout(watch.timer);
+        watch.timer = setTimeout(() => {
+            handleDeviceChange(watch).catch(() => {
+                // Try again on the next device change.
+            });
+        }, DEVICE_CHANGE_DEBOUNCE_MS);
+    };
+
+    navigator.mediaDevices.addEventListener("devicechange", watch.listener);
+    deviceWatch = watch;
+
+    void listMediaDevices().then((devices) => {
+        if (deviceWatch === watch && watch.devices.length === 0) {
+            watch.devices = devices;
+        }
+    });
+
+    return true;
+}
+
+// The devices the user picked, restored whenever they are plugged back in
+export function setPreferredDevices(microphoneId = null, cameraId = null) {
+    if (!deviceWatch) {
+        return;
+    }
+
+    deviceWatch.preferred = { audioinput: microphoneId || null, videoinput: cameraId || null };
+}
+
+export function stopDeviceWatch() {
+    const watch = deviceWatch;
+    if (!watch) {
+        return;
+    }
+
+    deviceWatch = null;
+    clearTimeout(watch.timer);
+    navigator.mediaDevices.removeEventListener("devicechange", watch.listener);
+}
+
 export async function getAllDevices() {
     const activeMeeting = getMeetingOrThrow();
     return await activeMeeting.self.getAllDevices();
@@ -647,6 +992,11 @@ function getJoinedParticipants(activeMeeting) {
     return activeMeeting?.participants?.joined?.toArray?.() ?? [];
 }
 
+// Self first, then everyone else who has joined
+function getMeetingParticipants(activeMeeting) {
+    return [activeMeeting?.self, ...getJoinedParticipants(activeMeeting)].filter((participant) => participant?.id);
+}
+
 function getParticipantById(activeMeeting, participantId) {
     if (!participantId) {
         return null;
@@ -798,7 +1148,157 @@ export function getParticipantsSnapshot() {
     };
 }
 
-export function syncParticipantAudio(elementId, participantId, volume = 1.0) {
+function getCallAudioContext() {
+    if (callAudioContext !== null) {
+        return callAudioContext;
+    }
+
+    const AudioContextCtor = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextCtor) {
+        return null;
+    }
+
+    callAudioContext = new AudioContextCtor();
+    applyAudioOutput(callAudioContext);
+    return callAudioContext;
+}
+
+function createPannerNode(context) {
+    if (typeof context.createStereoPanner === "function") {
+        return context.createStereoPanner();
+    }
+
+    const panner = context.createPanner();
+    panner.panningModel = "equalpower";
+    return panner;
+}
+
+function setPannerPosition(panner, pan) {
+    if (panner.pan) {
+        panner.pan.value = pan;
+        return;
+    }
+
+    // PannerNode fallback: place the source on a half circle in front of the listener.
+    const angle = pan * Math.PI / 2;
+    panner.setPosition(Math.sin(angle), 0, -Math.cos(angle));
+}
+
+// Pans by where the participant's tile sits across the call grid, from -1 (left) to 1 (right).
+function getElementPan(elementId) {
+    if (!elementId || typeof document === "undefined") {
+        return null;
+    }
+
+    const tile = document.getElementById(elementId)?.closest(".video-tile");
+    const container = tile?.parentElement;
+    if (!tile || !container) {
+        return null;
+    }
+
+    const tileRect = tile.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    if (containerRect.width <= 0) {
+        return null;
+    }
+
+    const center = (tileRect.left + tileRect.width / 2 - containerRect.left) / containerRect.width;
+    return Math.max(-1, Math.min(1, (center * 2 - 1) * SPATIAL_PAN_SPREAD));
+}
+
+function releaseParticipantAudioGraph(elementId) {
+    const graph = participantAudioGraphs.get(elementId);
+    if (!graph) {
+        return;
+    }
+
+    participantAudioGraphs.delete(elementId);
+
+    for (const node of [graph.source, graph.compressor, graph.gain, graph.panner]) {
+        try {
+            node.disconnect();
+        } catch {
+            // Ignore nodes that were never connected.
+        }
+    }
+}
+
+function releaseAllParticipantAudioGraphs() {
+    for (const elementId of Array.from(participantAudioGraphs.keys())) {
+        releaseParticipantAudioGraph(elementId);
+    }
+}
+
+function syncParticipantAudioGraph(elementId, stream, trackKey, volume, options) {
+    const context = getCallAudioContext();
+    if (!context || typeof context.createMediaStreamSource !== "function") {
+        return false;
+    }
+
+    let graph = participantAudioGraphs.get(elementId);
+    if (graph && graph.trackKey !== trackKey) {
+        releaseParticipantAudioGraph(elementId);
+        graph = null;
+    }
+
+    if (!graph) {
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -24;
+        compressor.knee.value = 24;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+
+        graph = {
+            trackKey,
+            source: context.createMediaStreamSource(stream),
+            compressor,
+            gain: context.createGain(),
+            panner: createPannerNode(context),
+            normalize: null
+        };
+
+        graph.gain.connect(graph.panner);
+        graph.panner.connect(context.destination);
+        participantAudioGraphs.set(elementId, graph);
+    }
+
+    // Only route through the compressor while normalizing, so it can't color quiet speakers otherwise.
+    const normalize = options?.normalize === true;
+    if (graph.normalize !== normalize) {
+        graph.source.disconnect();
+        graph.compressor.disconnect();
+
+        if (normalize) {
+            graph.source.connect(graph.compressor);
+            graph.compressor.connect(graph.gain);
+        } else {
+            graph.source.connect(graph.gain);
+        }
+
+        graph.normalize = normalize;
+    }
+
+    graph.gain.gain.setTargetAtTime(volume, context.currentTime, 0.02);
+
+    const pan = options?.spatial === true
+        ? getElementPan(options.panElementId) ?? Number(options.pan) ?? 0
+        : 0;
+    setPannerPosition(graph.panner, Math.max(-1, Math.min(1, Number.isFinite(pan) ? pan : 0)));
+
+    if (context.state === "suspended") {
+        context.resume().catch(() => {
+            // Resumes on a later sync once the user has interacted with the page.
+        });
+    }
+
+    return true;
+}
+
+// Options: { spatial, pan, panElementId, normalize }. Spatial audio pans by the tile found
+// from panElementId, or by pan (-1 to 1) when there is no tile. Volumes above 1 and the
+// options need WebAudio, otherwise the audio element plays the tracks directly.
+export function syncParticipantAudio(elementId, participantId, volume = 1.0, options = null) {
     const activeMeeting = getMeetingOrThrow();
     const audioElement = getAudioElement(elementId);
     if (!audioElement) {
@@ -815,8 +1315,11 @@ export function syncParticipantAudio(elementId, participantId, volume = 1.0) {
 
     audioElement.autoplay = true;
     audioElement.playsInline = true;
+    participantAudioElementIds.add(elementId);
+    applyAudioOutput(audioElement);
 
     if (!shouldPlayAudio) {
+        releaseParticipantAudioGraph(elementId);
         clearAudioElement(audioElement);
         return;
     }
@@ -839,7 +1342,19 @@ export function syncParticipantAudio(elementId, participantId, volume = 1.0) {
         audioElement.srcObject = new MediaStream(desiredTracks);
     }
 
-    audioElement.volume = Math.max(0, Math.min(1, volume));
+    const clampedVolume = Math.max(0, Math.min(MAX_PARTICIPANT_GAIN, volume));
+    const useAudioGraph = options?.spatial === true || options?.normalize === true || clampedVolume > 1;
+
+    if (useAudioGraph
+        && syncParticipantAudioGraph(elementId, audioElement.srcObject, desiredTrackIds.join(","), clampedVolume, options)) {
+        // Remote WebRTC audio only flows into WebAudio while the stream is attached to a
+        // media element in some browsers, so the element keeps playing but silently.
+        audioElement.muted = true;
+    } else {
+        releaseParticipantAudioGraph(elementId);
+        audioElement.muted = false;
+        audioElement.volume = Math.min(1, clampedVolume);
+    }
 
     const playResult = audioElement.play();
     if (playResult && typeof playResult.catch === "function") {
@@ -849,76 +1364,2061 @@ export function syncParticipantAudio(elementId, participantId, volume = 1.0) {
     }
 }
 
-function getElementVideoTrack(videoElement) {
-    const stream = videoElement?.srcObject;
-    if (!(stream instanceof MediaStream)) {
-        return null;
+function notifySpeakingDetector(methodName, ...args) {
+    const dotNetRef = speakingDetector?.dotNetRef;
+    if (!dotNetRef) {
+        return;
     }
 
-    const tracks = stream.getVideoTracks();
-    return tracks.length > 0 ? tracks[0] : null;
+    dotNetRef.invokeMethodAsync(methodName, ...args).catch(() => {
+        // The component may have been disposed while a call was ending.
+    });
 }
 
-function clearVideoElement(videoElement) {
-    if (!(videoElement?.srcObject instanceof MediaStream)) {
-        videoElement.srcObject = null;
-        return;
+function releaseSpeakingAnalyser(entry) {
+    try {
+        entry.source.disconnect();
+    } catch {
+        // Ignore sources that were already disconnected.
     }
+}
 
-    const currentStream = videoElement.srcObject;
-    for (const track of currentStream.getTracks()) {
-        currentStream.removeTrack(track);
+function createSpeakingAnalyser(context, track) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+
+    const source = context.createMediaStreamSource(new MediaStream([track]));
+    source.connect(analyser);
+
+    return {
+        trackId: track.id,
+        source,
+        analyser,
+        samples: new Float32Array(analyser.fftSize),
+        level: 0,
+        speaking: false,
+        quietSince: null
+    };
+}
+
+function readSpeakingLevel(entry) {
+    entry.analyser.getFloatTimeDomainData(entry.samples);
+
+    let sum = 0;
+    for (const sample of entry.samples) {
+        sum += sample * sample;
     }
 
-    videoElement.srcObject = null;
+    const rms = Math.sqrt(sum / entry.samples.length);
+
+    // Rise quickly, fall slowly
+    entry.level = rms > entry.level ? rms : entry.level * 0.7 + rms * 0.3;
+    return entry.level;
 }
 
-export function syncParticipantVideo(elementId, participantId, preferScreenShare = true) {
-    const activeMeeting = getMeetingOrThrow();
-    const videoElement = getVideoElement(elementId);
-    if (!videoElement) {
+function updateSpeakingState(peerId, entry, now) {
+    const level = readSpeakingLevel(entry);
+
+    if (!entry.speaking) {
+        if (level >= SPEAKING_START_LEVEL) {
+            entry.speaking = true;
+            entry.quietSince = null;
+            notifySpeakingDetector("OnSpeakingChanged", peerId, true);
+        }
+
         return;
     }
 
-    const participant = getParticipantById(activeMeeting, participantId);
-    const videoTrack = getParticipantVideoTrack(participant);
-    const screenShareTrack = getParticipantScreenShareTrack(participant);
-    const selectedTrack = preferScreenShare ? screenShareTrack : videoTrack;
-    const shouldRenderTrack = preferScreenShare
-        ? !!screenShareTrack
-        : !!videoTrack && !!participant?.videoEnabled;
+    if (level >= SPEAKING_STOP_LEVEL) {
+        entry.quietSince = null;
+        return;
+    }
 
-    videoElement.autoplay = true;
-    videoElement.playsInline = true;
-    videoElement.muted = true;
+    entry.quietSince ??= now;
+    if (now - entry.quietSince >= SPEAKING_HOLD_MS) {
+        entry.speaking = false;
+        entry.quietSince = null;
+        notifySpeakingDetector("OnSpeakingChanged", peerId, false);
+    }
+}
 
-    if (!shouldRenderTrack) {
-        clearVideoElement(videoElement);
+// The dominant speaker is the loudest remote participant who is speaking. Another speaker
+// has to stay the loudest for a while before they take over, and the last dominant speaker
+// is kept through silence.
+function updateDominantSpeaker(selfId, now) {
+    const detector = speakingDetector;
+
+    let loudestPeerId = null;
+    let loudestLevel = 0;
+    for (const [peerId, entry] of detector.analysers) {
+        if (peerId === selfId || !entry.speaking || entry.level <= loudestLevel) {
+            continue;
+        }
+
+        loudestPeerId = peerId;
+        loudestLevel = entry.level;
+    }
+
+    if (detector.dominantPeerId !== null && !detector.analysers.has(detector.dominantPeerId)) {
+        detector.dominantPeerId = null;
+        notifySpeakingDetector("OnDominantSpeakerChanged", null);
+    }
+
+    if (loudestPeerId === null || loudestPeerId === detector.dominantPeerId) {
+        detector.candidatePeerId = null;
         return;
     }
 
-    const existingTrack = getElementVideoTrack(videoElement);
-    if (!existingTrack || existingTrack.id !== selectedTrack.id) {
-        videoElement.srcObject = new MediaStream([selectedTrack]);
+    if (detector.candidatePeerId !== loudestPeerId) {
+        detector.candidatePeerId = loudestPeerId;
+        detector.candidateSince = now;
     }
 
-    const playResult = videoElement.play();
-    if (playResult && typeof playResult.catch === "function") {
-        playResult.catch(() => {
-            // Autoplay restrictions are expected until a user interaction occurs.
-        });
+    const dominantSpeaking = detector.analysers.get(detector.dominantPeerId)?.speaking === true;
+    if (dominantSpeaking && now - detector.candidateSince < DOMINANT_SPEAKER_SWITCH_MS) {
+        return;
     }
+
+    detector.dominantPeerId = loudestPeerId;
+    detector.candidatePeerId = null;
+    notifySpeakingDetector("OnDominantSpeakerChanged", loudestPeerId);
 }
 
-export async function invoke(path, args) {
-    const activeMeeting = getMeetingOrThrow();
-    const { target, method } = resolveTargetPath(activeMeeting, path);
-    const normalizedArgs = Array.isArray(args) ? args : [];
+function pollSpeakingLevels() {
+    const detector = speakingDetector;
+    const context = getCallAudioContext();
+    if (!detector || !meeting || !context) {
+        return;
+    }
 
-    return await method.apply(target, normalizedArgs);
-}
+    const now = performance.now();
+    const participants = [...getJoinedParticipants(meeting), meeting.self].filter((participant) => !!participant?.id);
+    const activePeerIds = new Set();
+
+    for (const participant of participants) {
+        const track = participant.audioEnabled ? participant.audioTrack : null;
+        if (!track || track.readyState === "ended") {
+            continue;
+        }
+
+        activePeerIds.add(participant.id);
+
+        let entry = detector.analysers.get(participant.id);
+        if (entry && entry.trackId !== track.id) {
+            releaseSpeakingAnalyser(entry);
+            entry = null;
+        }
+
+        if (!entry) {
+            try {
+                entry = createSpeakingAnalyser(context, track);
+            } catch {
+                // Tracks that can't be analysed yet are picked up on a later poll.
+                continue;
+            }
+
+            detector.analysers.set(participant.id, entry);
+        }
+
+        updateSpeakingState(participant.id, entry, now);
+    }
+
+    // Participants who left or muted stop speaking immediately
+    for (const [peerId, entry] of Array.from(detector.analysers)) {
+        if (activePeerIds.has(peerId)) {
+            continue;
+        }
+
+        releaseSpeakingAnalyser(entry);
+        detector.analysers.delete(peerId);
+
+        if (entry.speaking) {
+            notifySpeakingDetector("OnSpeakingChanged", peerId, false);
+        }
+    }
+
+    updateDominantSpeaker(meeting.self?.id ?? null, now);
+}
+
+export function startSpeakingDetection(dotNetRef) {
+    stopSpeakingDetection();
+
+    const context = getCallAudioContext();
+    if (!context || typeof context.createAnalyser !== "function") {
+        return false;
+    }
+
+    if (context.state === "suspended") {
+        context.resume().catch(() => {
+            // Resumes once the user has interacted with the page.
+        });
+    }
+
+    speakingDetector = {
+        dotNetRef,
+        analysers: new Map(),
+        dominantPeerId: null,
+        candidatePeerId: null,
+        candidateSince: 0,
+        timer: setInterval(pollSpeakingLevels, SPEAKING_POLL_INTERVAL_MS)
+    };
+
+    return true;
+}
+
+export function stopSpeakingDetection() {
+    const detector = speakingDetector;
+    if (!detector) {
+        return;
+    }
+
+    speakingDetector = null;
+    clearInterval(detector.timer);
+
+    for (const entry of detector.analysers.values()) {
+        releaseSpeakingAnalyser(entry);
+    }
+}
+
+function releaseMicMonitor() {
+    const monitor = micMonitor;
+    if (!monitor) {
+        return;
+    }
+
+    micMonitor = null;
+    releaseSpeakingAnalyser(monitor);
+
+    if (monitor.ownsTrack) {
+        stopMediaTrack(monitor.track);
+    }
+}
+
+// Follows the call's mic track, or the pre-join or settings preview when not in a call
+function syncMicMonitor(callTrack) {
+    const sourceTrack = callTrack
+        ?? preview?.stream.getAudioTracks()[0]
+        ?? micPreviewStream?.getAudioTracks()[0]
+        ?? null;
+    if (micMonitor?.sourceTrackId === sourceTrack?.id) {
+        return micMonitor;
+    }
+
+    releaseMicMonitor();
+
+    const context = getCallAudioContext();
+    if (!sourceTrack || !context) {
+        return null;
+    }
+
+    const track = callTrack ? callTrack.clone() : sourceTrack;
+    track.enabled = true;
+
+    try {
+        micMonitor = {
+            ...createSpeakingAnalyser(context, track),
+            sourceTrackId: sourceTrack.id,
+            track,
+            ownsTrack: !!callTrack
+        };
+    } catch {
+        if (callTrack) {
+            stopMediaTrack(track);
+        }
+
+        return null;
+    }
+
+    if (context.state === "suspended") {
+        context.resume().catch(() => {
+            // Resumes once the user has interacted with the page.
+        });
+    }
+
+    return micMonitor;
+}
+
+function setMicGateOpen(open) {
+    if (micGate.open === open) {
+        return;
+    }
+
+    micGate.open = open;
+
+    const dotNetRef = micGate.dotNetRef;
+    if (dotNetRef) {
+        dotNetRef.invokeMethodAsync("OnMicGateChanged", open).catch(() => {
+            // The component may have been disposed while a call was ending.
+        });
+    }
+}
+
+function updateMicLevelMeter(level) {
+    if (!micMeterElementId) {
+        return;
+    }
+
+    const meterElement = document.getElementById(micMeterElementId);
+    if (!meterElement) {
+        return;
+    }
+
+    // The meter's own data-threshold wins, so settings can preview a threshold outside a call
+    const meterLevel = Math.min(1, level / MIC_METER_MAX_LEVEL);
+    const threshold = Number(meterElement.dataset.threshold ?? micGate.threshold);
+    meterElement.style.setProperty("--mic-level", String(meterLevel));
+    meterElement.classList.toggle("open", meterLevel >= threshold);
+}
+
+// The SDK mutes by disabling the call track and keeping it, so the gate only drives the track
+// while the user is unmuted. It never turns a muted track back on.
+function applyMicGateToTrack() {
+    const self = meeting?.self;
+    const callTrack = self?.audioTrack ?? null;
+    if (!callTrack || self.audioEnabled !== true) {
+        return;
+    }
+
+    if (callTrack.enabled !== micGate.open) {
+        callTrack.enabled = micGate.open;
+    }
+}
+
+function pollMicGate() {
+    const callTrack = meeting?.self?.audioTrack ?? null;
+    const monitor = syncMicMonitor(callTrack);
+    const level = monitor ? readSpeakingLevel(monitor) : 0;
+    const now = performance.now();
+
+    let wantsOpen = true;
+    if (micGate.mode === "pushToTalk") {
+        wantsOpen = micGate.pushToTalkHeld;
+    } else if (micGate.mode === "voiceActivity") {
+        wantsOpen = level / MIC_METER_MAX_LEVEL >= micGate.threshold;
+    }
+
+    // Hold the gate open for the release delay so word endings aren't clipped
+    if (wantsOpen) {
+        micGate.closeAt = null;
+        setMicGateOpen(true);
+    } else if (micGate.open) {
+        micGate.closeAt ??= now + micGate.releaseDelayMs;
+        if (now >= micGate.closeAt) {
+            micGate.closeAt = null;
+            setMicGateOpen(false);
+        }
+    }
+
+    applyMicGateToTrack();
+    updateMicLevelMeter(level);
+}
+
+function updateMicGateTimer() {
+    const needsPolling = (micGate.mode !== "open" && !!meeting) || !!micMeterElementId;
+
+    if (needsPolling) {
+        micGateTimer ??= setInterval(pollMicGate, MIC_GATE_POLL_INTERVAL_MS);
+        return;
+    }
+
+    if (micGateTimer !== null) {
+        clearInterval(micGateTimer);
+        micGateTimer = null;
+    }
+
+    releaseMicMonitor();
+}
+
+function resetMicGate() {
+    micGate.pushToTalkHeld = false;
+    micGate.closeAt = null;
+    micGate.open = true;
+    releaseMicMonitor();
+    updateMicGateTimer();
+}
+
+// Options: { mode: "open" | "pushToTalk" | "voiceActivity", threshold (0 to 1), releaseDelayMs }
+export function setMicGate(options, dotNetRef = null) {
+    micGate.mode = MIC_GATE_MODES.includes(options?.mode) ? options.mode : "open";
+    micGate.threshold = Math.max(0, Math.min(1, Number(options?.threshold) || 0));
+    micGate.releaseDelayMs = Math.max(0, Math.min(MAX_MIC_RELEASE_DELAY_MS, Number(options?.releaseDelayMs) || 0));
+    micGate.dotNetRef = dotNetRef ?? micGate.dotNetRef;
+
+    if (micGate.mode === "open") {
+        micGate.closeAt = null;
+        setMicGateOpen(true);
+        applyMicGateToTrack();
+    } else if (meeting) {
+        pollMicGate();
+    }
+
+    updateMicGateTimer();
+}
+
+export function setPushToTalkActive(active) {
+    micGate.pushToTalkHeld = !!active;
+
+    if (micGate.mode === "pushToTalk" && meeting) {
+        pollMicGate();
+    }
+}
+
+// Drives a meter element's --mic-level (0 to 1), and its "open" class while over the threshold.
+// Outside a call it follows the pre-join preview, or opens its own stream from the given microphone.
+export async function attachMicLevelMeter(elementId, deviceId = null) {
+    micMeterElementId = elementId || null;
+    const previewHasAudio = (preview?.stream.getAudioTracks().length ?? 0) > 0;
+
+    if (micMeterElementId && !meeting?.self?.audioTrack && !previewHasAudio && !micPreviewStream && canRequestMicrophoneAccess()) {
+        try {
+            micPreviewStream = await navigator.mediaDevices.getUserMedia({
+                audio: deviceId ? { deviceId: { exact: deviceId } } : true
+            });
+        } catch {
+            // The meter stays empty without microphone access.
+        }
+    }
+
+    updateMicGateTimer();
+    return !!micMonitor || previewHasAudio || !!micPreviewStream || !!meeting?.self?.audioTrack;
+}
+
+export function detachMicLevelMeter() {
+    micMeterElementId = null;
+
+    if (micMonitor && !micMonitor.ownsTrack) {
+        releaseMicMonitor();
+    }
+
+    stopStreamTracks(micPreviewStream);
+    micPreviewStream = null;
+    updateMicGateTimer();
+}
+
+function loadNoiseSuppressionModule() {
+    noiseSuppressionModulePromise ??= (async () => {
+        try {
+            const response = await fetch(resolveContentUrl(NOISE_SUPPRESSION_MODEL_PATH));
+            if (!response.ok) {
+                return null;
+            }
+
+            noiseSuppressionModule = await WebAssembly.compile(await response.arrayBuffer());
+            return noiseSuppressionModule;
+        } catch {
+            return null;
+        }
+    })();
+
+    return noiseSuppressionModulePromise;
+}
+
+async function configureMicProcessorNode(node) {
+    node.port.postMessage({ type: "config", settings: micProcessing ?? { enabled: false } });
+
+    if (micProcessing?.noiseSuppression?.enabled === true) {
+        const module = await loadNoiseSuppressionModule();
+        if (module) {
+            node.port.postMessage({ type: "noiseSuppressionModule", module });
+        }
+    }
+}
+
+async function createMicProcessorNode(context) {
+    await context.audioWorklet.addModule(resolveContentUrl(MIC_PROCESSOR_WORKLET_PATH));
+
+    const node = new AudioWorkletNode(context, "valour-mic-processor", {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1]
+    });
+
+    micProcessorNodes.add(node);
+    await configureMicProcessorNode(node);
+    return node;
+}
+
+// The SDK builds a new audio graph with its own context whenever the mic track changes
+function micProcessingMiddleware(context) {
+    return createMicProcessorNode(context);
+}
+
+function pruneMicProcessorNodes() {
+    for (const node of Array.from(micProcessorNodes)) {
+        if (node.context.state === "closed") {
+            micProcessorNodes.delete(node);
+        }
+    }
+}
+
+async function applyMicProcessing(activeMeeting) {
+    const self = activeMeeting?.self;
+    if (!self || typeof self.addAudioMiddleware !== "function") {
+        return;
+    }
+
+    try {
+        // Both return a failed result rather than throwing when already added or removed
+        if (micProcessing?.enabled === true) {
+            await self.addAudioMiddleware(micProcessingMiddleware);
+        } else {
+            await self.removeAudioMiddleware(micProcessingMiddleware);
+        }
+    } catch {
+        // Processing is optional; the SDK sends the unprocessed mic instead.
+    }
+}
+
+// Settings: { enabled, highPass, noiseSuppression, gate, compressor }, see micProcessorWorklet.js
+export async function setMicProcessing(settings) {
+    micProcessing = settings ?? null;
+
+    pruneMicProcessorNodes();
+    for (const node of micProcessorNodes) {
+        await configureMicProcessorNode(node);
+    }
+
+    if (meeting) {
+        await applyMicProcessing(meeting);
+        await applyDefaultAudioConstraints(meeting);
+    }
+}
+
+export async function isNoiseSuppressionAvailable() {
+    return (await loadNoiseSuppressionModule()) !== null;
+}
+
+// Plays the processed mic back to the speakers so users can hear how they sound
+export async function startMicTest(deviceId = null) {
+    stopMicTest();
+
+    const AudioContextCtor = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextCtor || !canRequestMicrophoneAccess()) {
+        return false;
+    }
+
+    if (micProcessing?.noiseSuppression?.enabled === true) {
+        await loadNoiseSuppressionModule();
+    }
+
+    const constraints = deviceId
+        ? { ...getAudioConstraints(), deviceId: { exact: deviceId } }
+        : getAudioConstraints();
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+    } catch {
+        return false;
+    }
+
+    const context = new AudioContextCtor();
+    let tail = context.createMediaStreamSource(stream);
+
+    if (micProcessing?.enabled === true) {
+        try {
+            const node = await createMicProcessorNode(context);
+            tail.connect(node);
+            tail = node;
+        } catch {
+            // Fall back to the unprocessed mic.
+        }
+    }
+
+    tail.connect(context.destination);
+    applyAudioOutput(context);
+    micTest = { stream, context };
+    return true;
+}
+
+export function stopMicTest() {
+    const test = micTest;
+    if (!test) {
+        return;
+    }
+
+    micTest = null;
+    stopStreamTracks(test.stream);
+    test.context.close().catch(() => {
+        // Already closed.
+    });
+}
+
+async function openPreviewTrack(kind, deviceId) {
+    const constraints = kind === "audio" ? getAudioConstraints() : {};
+    const attempts = deviceId
+        ? [{ ...constraints, deviceId: { exact: deviceId } }, constraints]
+        : [constraints];
+
+    for (const attempt of attempts) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ [kind]: attempt });
+            return stream.getTracks()[0] ?? null;
+        } catch {
+            // The device may have been unplugged; try the system default next.
+        }
+    }
+
+    return null;
+}
+
+function getPreviewResult(stream) {
+    const audioTrack = stream?.getAudioTracks()[0] ?? null;
+    const videoTrack = stream?.getVideoTracks()[0] ?? null;
+
+    return {
+        audio: !!audioTrack,
+        video: !!videoTrack,
+        audioDeviceId: audioTrack?.getSettings?.().deviceId ?? null,
+        videoDeviceId: videoTrack?.getSettings?.().deviceId ?? null
+    };
+}
+
+function takePreviewTrack(kind) {
+    const track = previewHandoff?.[kind] ?? null;
+    if (previewHandoff) {
+        previewHandoff[kind] = null;
+    }
+
+    return track?.readyState === "live" ? track : null;
+}
+
+// Stops whatever the meeting didn't take from the preview
+export function releasePreviewHandoff() {
+    const handoff = previewHandoff;
+    if (!handoff) {
+        return;
+    }
+
+    previewHandoff = null;
+    stopMediaTrack(handoff.audio);
+    stopMediaTrack(handoff.video);
+}
+
+// Options: { audio, video, audioDeviceId, videoDeviceId, videoElementId }. A missing device falls
+// back to the system default. Returns which tracks opened and the devices they came from.
+export async function startPreview(options = null) {
+    stopPreview();
+    releasePreviewHandoff();
+    const version = previewVersion;
+
+    if (!canRequestMicrophoneAccess()) {
+        return getPreviewResult(null);
+    }
+
+    const audioTrack = options?.audio === true ? await openPreviewTrack("audio", options?.audioDeviceId) : null;
+    const videoTrack = options?.video === true ? await openPreviewTrack("video", options?.videoDeviceId) : null;
+    const stream = new MediaStream([audioTrack, videoTrack].filter(Boolean));
+
+    // Stopped or restarted while the devices were opening
+    if (version !== previewVersion) {
+        stopStreamTracks(stream);
+        return getPreviewResult(null);
+    }
+
+    preview = { stream, videoElementId: options?.videoElementId || null, effect: null };
+    syncPreviewVideo();
+    updateMicGateTimer();
+    return getPreviewResult(stream);
+}
+
+// Shows the preview's camera, through the background effect when there is one
+function syncPreviewVideo() {
+    const current = preview;
+    const videoTrack = current?.stream.getVideoTracks()[0] ?? null;
+
+    current?.effect?.stop();
+    if (current) {
+        current.effect = videoTrack && backgroundEffect && segmentationModel
+            ? startBackgroundEffectPreview(videoTrack)
+            : null;
+    }
+
+    const videoElement = current?.videoElementId ? getVideoElement(current.videoElementId) : null;
+    if (!videoElement) {
+        return;
+    }
+
+    videoElement.muted = true;
+    videoElement.autoplay = true;
+    videoElement.playsInline = true;
+    videoElement.srcObject = current.effect?.stream ?? (videoTrack ? new MediaStream([videoTrack]) : null);
+
+    if (videoTrack) {
+        videoElement.play().catch(() => {
+            // Autoplay restrictions are expected until a user interaction occurs.
+        });
+    }
+}
+
+// With handOff, the tracks are kept for the meeting: the next enableAudio and enableVideo after
+// joinRoom use them instead of opening the devices again.
+export function stopPreview(handOff = false) {
+    previewVersion++;
+
+    const current = preview;
+    if (!current) {
+        return;
+    }
+
+    preview = null;
+
+    if (micMonitor && !micMonitor.ownsTrack) {
+        releaseMicMonitor();
+    }
+
+    current.effect?.stop();
+
+    const videoElement = current.videoElementId ? getVideoElement(current.videoElementId) : null;
+    if (videoElement) {
+        videoElement.srcObject = null;
+    }
+
+    if (handOff) {
+        releasePreviewHandoff();
+        previewHandoff = {
+            audio: current.stream.getAudioTracks()[0] ?? null,
+            video: current.stream.getVideoTracks()[0] ?? null
+        };
+    } else {
+        stopStreamTracks(current.stream);
+    }
+
+    updateMicGateTimer();
+}
+
+export async function getAudioOutputDevices() {
+    if (!canUseMediaDevices() || typeof navigator.mediaDevices.enumerateDevices !== "function") {
+        return [];
+    }
+
+    let unnamedSpeakerIndex = 1;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+        .filter((device) => device.kind === "audiooutput")
+        .map((device) => {
+            const hasLabel = typeof device.label === "string" && device.label.trim().length > 0;
+            const label = hasLabel ? device.label : `Speaker ${unnamedSpeakerIndex++}`;
+
+            return {
+                deviceId: device.deviceId,
+                label
+            };
+        });
+}
+
+export function isAudioOutputSelectionSupported() {
+    return typeof HTMLMediaElement !== "undefined"
+        && typeof HTMLMediaElement.prototype.setSinkId === "function";
+}
+
+// Works for media elements and, where supported, audio contexts
+function applyAudioOutput(target) {
+    const sinkId = audioOutputDeviceId ?? "";
+    if (typeof target?.setSinkId !== "function" || target.sinkId === sinkId) {
+        return;
+    }
+
+    target.setSinkId(sinkId).catch(() => {
+        // The output may have been unplugged; keep playing where it was.
+    });
+}
+
+// Where call audio plays, or the system default for null
+export function setAudioOutputDevice(deviceId = null) {
+    audioOutputDeviceId = deviceId || null;
+
+    for (const elementId of participantAudioElementIds) {
+        const audioElement = getAudioElement(elementId);
+        if (audioElement) {
+            applyAudioOutput(audioElement);
+        } else {
+            participantAudioElementIds.delete(elementId);
+        }
+    }
+
+    applyAudioOutput(callAudioContext);
+}
+
+// Plays a short chime to the given output, or the call's output. Goes through an audio element
+// since setSinkId on audio contexts is less widely supported. Returns false if it can't play there.
+export async function playOutputTest(deviceId = null) {
+    stopOutputTest();
+
+    const AudioContextCtor = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextCtor || typeof Audio === "undefined") {
+        return false;
+    }
+
+    const audio = new Audio();
+    const sinkId = deviceId ?? audioOutputDeviceId ?? "";
+    if (sinkId) {
+        if (typeof audio.setSinkId !== "function") {
+            return false;
+        }
+
+        try {
+            await audio.setSinkId(sinkId);
+        } catch {
+            return false;
+        }
+    }
+
+    const context = new AudioContextCtor();
+    const destination = context.createMediaStreamDestination();
+    audio.srcObject = destination.stream;
+    outputTest = { context, audio, timer: setTimeout(stopOutputTest, OUTPUT_TEST_DURATION_MS) };
+
+    try {
+        await audio.play();
+    } catch {
+        stopOutputTest();
+        return false;
+    }
+
+    if (outputTest?.context !== context) {
+        return false;
+    }
+
+    const start = context.currentTime + 0.05;
+    OUTPUT_TEST_NOTES.forEach((frequency, index) => {
+        const noteStart = start + index * OUTPUT_TEST_NOTE_SECONDS;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, noteStart);
+        envelope.gain.linearRampToValueAtTime(0.2, noteStart + 0.02);
+        envelope.gain.exponentialRampToValueAtTime(0.001, noteStart + OUTPUT_TEST_NOTE_SECONDS);
+        oscillator.connect(envelope).connect(destination);
+        oscillator.start(noteStart);
+        oscillator.stop(noteStart + OUTPUT_TEST_NOTE_SECONDS);
+    });
+
+    return true;
+}
+
+export function stopOutputTest() {
+    const test = outputTest;
+    if (!test) {
+        return;
+    }
+
+    outputTest = null;
+    clearTimeout(test.timer);
+    test.audio.pause();
+    test.audio.srcObject = null;
+    test.context.close().catch(() => {
+        // Already closed.
+    });
+}
+
+function loadSelfieSegmentationScript() {
+    const scope = getGlobalScope();
+    if (scope?.SelfieSegmentation) {
+        return Promise.resolve(scope.SelfieSegmentation);
+    }
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = resolveContentUrl(SELFIE_SEGMENTATION_PATH + SELFIE_SEGMENTATION_SCRIPT);
+        script.async = true;
+
+        script.addEventListener("load", () => {
+            if (scope?.SelfieSegmentation) {
+                resolve(scope.SelfieSegmentation);
+            } else {
+                reject(new Error("The background segmentation script didn't define SelfieSegmentation."));
+            }
+        }, { once: true });
+
+        script.addEventListener("error", () => {
+            reject(new Error(`Failed to load the background segmentation script from '${script.src}'.`));
+        }, { once: true });
+
+        (document.head ?? document.body).appendChild(script);
+    });
+}
+
+// Frames are segmented one at a time. The mask, whose alpha is how sure the model is that a
+// pixel is the person, is only valid while the results callback runs, so segment() takes a
+// callback that draws with it there.
+async function createSegmenter(SelfieSegmentation) {
+    const solution = new SelfieSegmentation({
+        locateFile: (file) => resolveContentUrl(SELFIE_SEGMENTATION_PATH + file)
+    });
+
+    let onMask = null;
+    solution.setOptions({ modelSelection: SELFIE_SEGMENTATION_MODEL });
+    solution.onResults((results) => onMask?.(results.segmentationMask));
+    await solution.initialize();
+
+    let queue = Promise.resolve();
+    return {
+        segment(image, maskCallback) {
+            const run = queue.then(async () => {
+                onMask = maskCallback;
+                try {
+                    await solution.send({ image });
+                } finally {
+                    onMask = null;
+                }
+            });
+
+            queue = run.catch(() => {
+                // The next frame tries again.
+            });
+
+            return run;
+        }
+    };
+}
+
+function loadSegmentationModel() {
+    segmentationModelPromise ??= (async () => {
+        try {
+            const SelfieSegmentation = await loadSelfieSegmentationScript();
+            segmentationModel = await withTimeout(
+                createSegmenter(SelfieSegmentation),
+                SELFIE_SEGMENTATION_LOAD_TIMEOUT_MS,
+                "Timed out loading the background segmentation model.");
+
+            return segmentationModel;
+        } catch {
+            return null;
+        }
+    })();
+
+    return segmentationModelPromise;
+}
+
+function createWorkCanvas(width, height) {
+    if (typeof OffscreenCanvas === "function") {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Image backgrounds that fail to load (including ones without CORS) fall back to the color
+function loadBackgroundImage(url) {
+    if (!url) {
+        backgroundImage = null;
+        return;
+    }
+
+    if (backgroundImage?.url === url) {
+        return;
+    }
+
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.decoding = "async";
+    image.src = url;
+    backgroundImage = { url, image };
+}
+
+function getLoadedBackgroundImage() {
+    const image = backgroundImage?.image;
+    return image?.complete && image.naturalWidth > 0 ? image : null;
+}
+
+// Scales the image to fill the frame, cropping whatever doesn't fit
+function drawImageCover(ctx, image, width, height) {
+    const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+    const drawWidth = image.naturalWidth * scale;
+    const drawHeight = image.naturalHeight * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+function drawBackground(effect, ctx, frame, width, height) {
+    ctx.save();
+    ctx.globalCompositeOperation = "copy";
+
+    const image = effect.mode === "image" ? getLoadedBackgroundImage() : null;
+    if (effect.mode === "blur") {
+        // The unblurred frame underneath keeps the blurred edges from fading out
+        ctx.drawImage(frame, 0, 0);
+        ctx.globalCompositeOperation = "source-over";
+        ctx.filter = `blur(${effect.blurRadius}px)`;
+        ctx.drawImage(frame, 0, 0);
+    } else if (image) {
+        drawImageCover(ctx, image, width, height);
+    } else {
+        ctx.fillStyle = effect.color;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.restore();
+}
+
+// Work canvases are kept per camera track and rebuilt when the frame size changes
+function getEffectSurfaces(surfaces, width, height) {
+    if (surfaces.width !== width || surfaces.height !== height) {
+        surfaces.frame = createWorkCanvas(width, height);
+        surfaces.frameCtx = surfaces.frame.getContext("2d");
+        surfaces.person = createWorkCanvas(width, height);
+        surfaces.personCtx = surfaces.person.getContext("2d");
+        surfaces.width = width;
+        surfaces.height = height;
+    }
+
+    return surfaces;
+}
+
+// Replaces the background of the frame already drawn on the canvas
+async function drawBackgroundEffect(surfaces, canvas, ctx) {
+    const effect = backgroundEffect;
+    const model = segmentationModel;
+    const { width, height } = canvas;
+    if (!effect || !model || !width || !height) {
+        return;
+    }
+
+    const { frame, frameCtx, person, personCtx } = getEffectSurfaces(surfaces, width, height);
+
+    frameCtx.globalCompositeOperation = "copy";
+    frameCtx.drawImage(canvas, 0, 0);
+
+    // Cut the person out, softening the upscaled mask's edges
+    await model.segment(canvas, (mask) => {
+        personCtx.globalCompositeOperation = "copy";
+        personCtx.filter = `blur(${MASK_FEATHER_PX}px)`;
+        personCtx.drawImage(mask, 0, 0, width, height);
+        personCtx.filter = "none";
+        personCtx.globalCompositeOperation = "source-in";
+        personCtx.drawImage(frame, 0, 0);
+    });
+
+    drawBackground(effect, ctx, frame, width, height);
+    ctx.drawImage(person, 0, 0);
+}
+
+// The SDK calls this once per camera track, and the returned function for every frame
+function backgroundEffectMiddleware() {
+    const surfaces = {};
+    return (canvas, ctx) => drawBackgroundEffect(surfaces, canvas, ctx);
+}
+
+// Runs the effect outside the SDK, so the pre-join preview shows it too. Frames are drawn on
+// a work canvas and only copied to the shown one once the effect is done, and frames that come
+// in while one is being segmented are skipped.
+function startBackgroundEffectPreview(track) {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+
+    const work = document.createElement("canvas");
+    const workCtx = work.getContext("2d");
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+    const drawEffect = backgroundEffectMiddleware();
+    let drawing = false;
+
+    const timer = setInterval(() => {
+        if (drawing || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth) {
+            return;
+        }
+
+        for (const target of [work, canvas]) {
+            if (target.width !== video.videoWidth || target.height !== video.videoHeight) {
+                target.width = video.videoWidth;
+                target.height = video.videoHeight;
+            }
+        }
+
+        drawing = true;
+        workCtx.drawImage(video, 0, 0);
+        drawEffect(work, workCtx)
+            .then(() => ctx.drawImage(work, 0, 0))
+            .catch(() => {
+                // Skip the frame; the next one tries again.
+            })
+            .finally(() => {
+                drawing = false;
+            });
+    }, BACKGROUND_PREVIEW_INTERVAL_MS);
+
+    video.play().catch(() => {
+        // Muted playback isn't held back by autoplay rules.
+    });
+
+    const stream = canvas.captureStream();
+    return {
+        stream,
+        stop() {
+            clearInterval(timer);
+            video.srcObject = null;
+            stopStreamTracks(stream);
+        }
+    };
+}
+
+async function applyBackgroundEffect(activeMeeting) {
+    const self = activeMeeting?.self;
+    if (!self || typeof self.addVideoMiddleware !== "function") {
+        return;
+    }
+
+    try {
+        if (backgroundEffect && segmentationModel) {
+            await self.addVideoMiddleware(backgroundEffectMiddleware);
+        } else {
+            await self.removeVideoMiddleware(backgroundEffectMiddleware);
+        }
+    } catch {
+        // Effects are optional; the SDK sends the camera as is instead.
+    }
+}
+
+// Effect: { mode: "none" | "blur" | "color" | "image", blurRadius, color, imageUrl }. The color
+// also fills in while an image background loads.
+export async function setBackgroundEffect(effect) {
+    const mode = BACKGROUND_EFFECT_MODES.includes(effect?.mode) ? effect.mode : "none";
+
+    backgroundEffect = mode === "none" ? null : {
+        mode,
+        blurRadius: Math.max(1, Math.min(MAX_BACKGROUND_BLUR_PX, Number(effect?.blurRadius) || 0)),
+        color: typeof effect?.color === "string" && effect.color.length > 0 ? effect.color : DEFAULT_BACKGROUND_COLOR
+    };
+
+    loadBackgroundImage(mode === "image" ? effect?.imageUrl : null);
+
+    if (backgroundEffect) {
+        await loadSegmentationModel();
+    }
+
+    if (meeting) {
+        await applyBackgroundEffect(meeting);
+    }
+
+    if (preview) {
+        syncPreviewVideo();
+    }
+}
+
+export async function isBackgroundEffectsAvailable() {
+    return (await loadSegmentationModel()) !== null;
+}
+
+function notifyRecordingWatch(peerId, active) {
+    const watch = recordingWatch;
+    if (!watch || !peerId) {
+        return;
+    }
+
+    const changed = active ? !watch.peerIds.has(peerId) : watch.peerIds.has(peerId);
+    if (!changed) {
+        return;
+    }
+
+    if (active) {
+        watch.peerIds.add(peerId);
+    } else {
+        watch.peerIds.delete(peerId);
+    }
+
+    watch.dotNetRef.invokeMethodAsync("OnRecordingStateChanged", peerId, active).catch(() => {
+        // The component may have been disposed while a call was ending.
+    });
+}
+
+async function announceRecording(activeMeeting, active, participantIds = null) {
+    const participants = activeMeeting?.participants;
+    const peerId = activeMeeting?.self?.id;
+    if (!peerId || typeof participants?.broadcastMessage !== "function") {
+        return;
+    }
+
+    try {
+        await participants.broadcastMessage(
+            RECORDING_MESSAGE_TYPE,
+            { peerId, recording: active },
+            participantIds ? { participantIds } : undefined
+        );
+    } catch {
+        // The local indicator still shows; others just won't see it.
+    }
+}
+
+// Listens for recording announcements from other participants
+export function startRecordingWatch(dotNetRef) {
+    stopRecordingWatch();
+
+    const activeMeeting = getMeetingOrThrow();
+    const participants = activeMeeting.participants;
+    if (typeof participants?.on !== "function") {
+        return false;
+    }
+
+    const onMessage = (message) => {
+        if (message?.type !== RECORDING_MESSAGE_TYPE || typeof message.payload?.peerId !== "string") {
+            return;
+        }
+
+        notifyRecordingWatch(message.payload.peerId, message.payload.recording === true);
+    };
+
+    // Late joiners didn't hear the original announcement
+    const onJoined = (participant) => {
+        if (recording && participant?.id) {
+            void announceRecording(activeMeeting, true, [participant.id]);
+        }
+    };
+
+    const onLeft = (participant) => {
+        notifyRecordingWatch(participant?.id, false);
+    };
+
+    participants.on("broadcastedMessage", onMessage);
+    participants.joined?.on?.("participantJoined", onJoined);
+    participants.joined?.on?.("participantLeft", onLeft);
+
+    recordingWatch = {
+        dotNetRef,
+        participants,
+        onMessage,
+        onJoined,
+        onLeft,
+        peerIds: new Set()
+    };
+
+    if (recording) {
+        notifyRecordingWatch(activeMeeting.self?.id, true);
+    }
+
+    return true;
+}
+
+export function stopRecordingWatch() {
+    const watch = recordingWatch;
+    if (!watch) {
+        return;
+    }
+
+    recordingWatch = null;
+
+    try {
+        watch.participants.off?.("broadcastedMessage", watch.onMessage);
+        watch.participants.joined?.off?.("participantJoined", watch.onJoined);
+        watch.participants.joined?.off?.("participantLeft", watch.onLeft);
+    } catch {
+        // The meeting may already be torn down.
+    }
+}
+
+function getRecordingMimeType(withVideo) {
+    const candidates = withVideo
+        ? ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"]
+        : ["audio/webm;codecs=opus", "audio/webm"];
+
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+function getParticipantDisplayName(participant) {
+    return participant?.name ?? participant?.displayName ?? "Someone";
+}
+
+function addRecordingMarker(session, label) {
+    session.markers.push({ timeMs: Math.max(0, performance.now() - session.startedAt), label });
+}
+
+function syncRecordingAudio(session, participants) {
+    const tracks = new Map();
+    for (const participant of participants) {
+        for (const track of [participant.audioTrack, getParticipantScreenShareAudioTrack(participant)]) {
+            if (track?.id && track.readyState !== "ended") {
+                tracks.set(track.id, track);
+            }
+        }
+    }
+
+    for (const [trackId, source] of session.sources) {
+        if (!tracks.has(trackId)) {
+            source.disconnect();
+            session.sources.delete(trackId);
+        }
+    }
+
+    for (const [trackId, track] of tracks) {
+        if (session.sources.has(trackId)) {
+            continue;
+        }
+
+        try {
+            const source = session.context.createMediaStreamSource(new MediaStream([track]));
+            source.connect(session.destination);
+            session.sources.set(trackId, source);
+        } catch {
+            // Skip tracks that can't be mixed; the rest are still recorded.
+        }
+    }
+}
+
+function syncRecordingScreenShare(session, participants) {
+    const video = session.video;
+    if (!video) {
+        return;
+    }
+
+    const sharer = participants.find((participant) =>
+        participant.screenShareEnabled && getParticipantScreenShareTrack(participant));
+    const track = sharer ? getParticipantScreenShareTrack(sharer) : null;
+    const current = video.srcObject instanceof MediaStream ? video.srcObject.getVideoTracks()[0] : null;
+
+    if (current?.id === track?.id) {
+        return;
+    }
+
+    video.srcObject = track ? new MediaStream([track]) : null;
+    if (track) {
+        video.play().catch(() => {
+            // Muted playback is allowed without interaction.
+        });
+    }
+}
+
+function drawRecordingFrame(session) {
+    const { canvas, video } = session;
+    const context2d = canvas.getContext("2d");
+
+    context2d.fillStyle = "#000";
+    context2d.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!video.srcObject || video.readyState < 2 || !video.videoWidth || !video.videoHeight) {
+        return;
+    }
+
+    // Letterbox the share into the recording frame
+    const scale = Math.min(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+    const width = video.videoWidth * scale;
+    const height = video.videoHeight * scale;
+    context2d.drawImage(video, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+}
+
+function syncRecording() {
+    const session = recording;
+    if (!session || !meeting) {
+        return;
+    }
+
+    const participants = getMeetingParticipants(meeting);
+    const peers = new Map(participants.map((participant) => [participant.id, participant]));
+
+    for (const [peerId, participant] of peers) {
+        if (!session.peers.has(peerId)) {
+            addRecordingMarker(session, `${getParticipantDisplayName(participant)} joined`);
+        }
+    }
+
+    for (const [peerId, name] of session.peers) {
+        if (!peers.has(peerId)) {
+            addRecordingMarker(session, `${name} left`);
+        }
+    }
+
+    session.peers = new Map(participants.map((participant) => [participant.id, getParticipantDisplayName(participant)]));
+    syncRecordingAudio(session, participants);
+    syncRecordingScreenShare(session, participants);
+}
+
+// Options: { includeScreenShare, fileName, maxDurationSeconds, maxBytes }. The recording is held
+// in memory until it's saved, so it stops and saves by itself at either limit and the .NET side
+// is told through OnRecordingLimitReached.
+export async function startRecording(options = null, dotNetRef = null) {
+    const activeMeeting = getMeetingOrThrow();
+    if (recording) {
+        return true;
+    }
+
+    const AudioContextCtor = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextCtor || typeof MediaRecorder === "undefined") {
+        throw new Error("This browser can't record calls.");
+    }
+
+    const withVideo = options?.includeScreenShare === true
+        && typeof HTMLCanvasElement !== "undefined"
+        && typeof HTMLCanvasElement.prototype.captureStream === "function";
+
+    const mimeType = getRecordingMimeType(withVideo);
+    if (!mimeType) {
+        throw new Error("This browser can't record calls as WebM.");
+    }
+
+    const context = new AudioContextCtor();
+    const destination = context.createMediaStreamDestination();
+    const tracks = destination.stream.getAudioTracks();
+
+    let canvas = null;
+    let video = null;
+    if (withVideo) {
+        canvas = document.createElement("canvas");
+        canvas.width = RECORDING_VIDEO_WIDTH;
+        canvas.height = RECORDING_VIDEO_HEIGHT;
+        video = document.createElement("video");
+        video.muted = true;
+        video.playsInline = true;
+        tracks.push(...canvas.captureStream(RECORDING_VIDEO_FPS).getVideoTracks());
+    }
+
+    const session = {
+        context,
+        destination,
+        canvas,
+        video,
+        sources: new Map(),
+        peers: new Map(),
+        markers: [],
+        chunks: [],
+        size: 0,
+        maxBytes: options?.maxBytes > 0 ? options.maxBytes : 0,
+        dotNetRef,
+        mimeType,
+        fileName: options?.fileName ?? null,
+        startedAt: performance.now(),
+        recorder: new MediaRecorder(new MediaStream(tracks), { mimeType }),
+        stopped: null,
+        syncTimer: null,
+        drawTimer: null,
+        limitTimer: null
+    };
+
+    session.stopped = new Promise((resolve) => {
+        session.recorder.addEventListener("stop", resolve, { once: true });
+    });
+
+    session.recorder.addEventListener("dataavailable", (event) => {
+        if (event.data?.size > 0) {
+            session.chunks.push(event.data);
+            session.size += event.data.size;
+            if (session.maxBytes && session.size >= session.maxBytes) {
+                void stopRecordingAtLimit(session);
+            }
+        }
+    });
+
+    // The recorder stops itself on errors; save what was captured
+    session.recorder.addEventListener("error", () => {
+        void stopRecording();
+    });
+
+    if (context.state === "suspended") {
+        await context.resume().catch(() => {
+            // Started from a click, so this normally succeeds.
+        });
+    }
+
+    addRecordingMarker(session, "Recording started");
+    session.peers = new Map(getMeetingParticipants(activeMeeting)
+        .map((participant) => [participant.id, getParticipantDisplayName(participant)]));
+
+    recording = session;
+    syncRecording();
+    session.syncTimer = setInterval(syncRecording, RECORDING_SYNC_INTERVAL_MS);
+    if (withVideo) {
+        session.drawTimer = setInterval(() => drawRecordingFrame(session), 1000 / RECORDING_VIDEO_FPS);
+    }
+
+    session.recorder.start(RECORDING_TIMESLICE_MS);
+    if (options?.maxDurationSeconds > 0) {
+        session.limitTimer = setTimeout(() => void stopRecordingAtLimit(session), options.maxDurationSeconds * 1000);
+    }
+
+    notifyRecordingWatch(activeMeeting.self?.id, true);
+    await announceRecording(activeMeeting, true);
+    return true;
+}
+
+// Stops recording and downloads the file. Returns the file name, or null if nothing was recording.
+export async function stopRecording() {
+    const session = recording;
+    if (!session) {
+        return null;
+    }
+
+    recording = null;
+    clearInterval(session.syncTimer);
+    clearInterval(session.drawTimer);
+    clearTimeout(session.limitTimer);
+
+    if (meeting) {
+        notifyRecordingWatch(meeting.self?.id, false);
+        void announceRecording(meeting, false);
+    }
+
+    if (session.recorder.state !== "inactive") {
+        session.recorder.stop();
+    }
+
+    await session.stopped;
+
+    for (const source of session.sources.values()) {
+        source.disconnect();
+    }
+
+    stopStreamTracks(session.recorder.stream);
+    if (session.video) {
+        session.video.srcObject = null;
+    }
+
+    session.context.close().catch(() => {
+        // Already closed.
+    });
+
+    if (session.chunks.length === 0) {
+        return null;
+    }
+
+    const parts = await addWebmChapters(session.chunks, session.markers);
+    const fileName = getRecordingFileName(session.fileName);
+
+    downloadRecording(new Blob(parts, { type: session.mimeType }), fileName);
+    return fileName;
+}
+
+async function stopRecordingAtLimit(session) {
+    if (recording !== session) {
+        return;
+    }
+
+    const fileName = await stopRecording();
+    session.dotNetRef?.invokeMethodAsync("OnRecordingLimitReached", fileName).catch(() => {
+        // The component may be disposed.
+    });
+}
+
+export function isRecording() {
+    return recording !== null;
+}
+
+function getRecordingFileName(name) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    const base = typeof name === "string" && name.trim().length > 0
+        ? name.trim().replace(/[\\/:*?"<>|]+/g, "-")
+        : `Valour Call ${stamp}`;
+
+    return `${base}.webm`;
+}
+
+function downloadRecording(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before the blob goes away
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+// WebM (EBML) element ids used to add chapters
+const EBML_HEADER_ID = 0x1A45DFA3;
+const EBML_SEGMENT_ID = 0x18538067;
+const EBML_SEEK_HEAD_ID = 0x114D9B74;
+const EBML_CLUSTER_ID = 0x1F43B675;
+const EBML_CHAPTERS_ID = 0x1043A770;
+const EBML_EDITION_ENTRY_ID = 0x45B9;
+const EBML_CHAPTER_ATOM_ID = 0xB6;
+const EBML_CHAPTER_UID_ID = 0x73C4;
+const EBML_CHAPTER_TIME_START_ID = 0x91;
+const EBML_CHAPTER_DISPLAY_ID = 0x80;
+const EBML_CHAP_STRING_ID = 0x85;
+const EBML_CHAP_LANGUAGE_ID = 0x437C;
+
+// Reads a variable length integer. Ids keep their length marker; sizes don't.
+function readEbmlVint(bytes, offset, keepMarker) {
+    const first = bytes[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+
+    let length = 1;
+    let mask = 0x80;
+    while (!(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+
+    let value = keepMarker ? first : first & (mask - 1);
+    let unknown = (first & (mask - 1)) === mask - 1;
+
+    for (let i = 1; i < length; i++) {
+        const byte = bytes[offset + i];
+        if (byte === undefined) {
+            return null;
+        }
+
+        value = value * 256 + byte;
+        unknown = unknown && byte === 0xFF;
+    }
+
+    return { value, length, unknown };
+}
+
+function encodeEbmlUint(value) {
+    let remaining = BigInt(value);
+    const bytes = [];
+
+    do {
+        bytes.unshift(Number(remaining & 0xFFn));
+        remaining >>= 8n;
+    } while (remaining > 0n);
+
+    return Uint8Array.from(bytes);
+}
+
+function encodeEbmlSize(size) {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) {
+        length++;
+    }
+
+    const bytes = new Uint8Array(length);
+    let remaining = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+
+    return result;
+}
+
+function ebmlElement(id, ...children) {
+    const payload = concatBytes(children);
+    return concatBytes([encodeEbmlUint(id), encodeEbmlSize(payload.length), payload]);
+}
+
+function buildWebmChapters(markers) {
+    const atoms = markers.map((marker, index) => ebmlElement(
+        EBML_CHAPTER_ATOM_ID,
+        ebmlElement(EBML_CHAPTER_UID_ID, encodeEbmlUint(index + 1)),
+        ebmlElement(EBML_CHAPTER_TIME_START_ID, encodeEbmlUint(BigInt(Math.round(marker.timeMs)) * 1000000n)),
+        ebmlElement(
+            EBML_CHAPTER_DISPLAY_ID,
+            ebmlElement(EBML_CHAP_STRING_ID, new TextEncoder().encode(marker.label)),
+            ebmlElement(EBML_CHAP_LANGUAGE_ID, new TextEncoder().encode("eng"))
+        )
+    ));
+
+    return ebmlElement(EBML_CHAPTERS_ID, ebmlElement(EBML_EDITION_ENTRY_ID, ...atoms));
+}
+
+// MediaRecorder writes a live WebM: an unknown-size segment with no seek index, so a Chapters
+// element can be inserted before the first cluster without fixing up any offsets. Returns the
+// offset of that cluster, or -1 for anything else.
+function findWebmFirstCluster(bytes) {
+    const header = readEbmlVint(bytes, 0, true);
+    const headerSize = header && readEbmlVint(bytes, header.length, false);
+    if (header?.value !== EBML_HEADER_ID || !headerSize || headerSize.unknown) {
+        return -1;
+    }
+
+    let offset = header.length + headerSize.length + headerSize.value;
+    const segment = readEbmlVint(bytes, offset, true);
+    const segmentSize = segment && readEbmlVint(bytes, offset + segment.length, false);
+    if (segment?.value !== EBML_SEGMENT_ID || !segmentSize?.unknown) {
+        return -1;
+    }
+
+    offset += segment.length + segmentSize.length;
+    while (offset < bytes.length) {
+        const id = readEbmlVint(bytes, offset, true);
+        const size = id && readEbmlVint(bytes, offset + id.length, false);
+        if (!size || id.value === EBML_SEEK_HEAD_ID) {
+            return -1;
+        }
+
+        if (id.value === EBML_CLUSTER_ID) {
+            return offset;
+        }
+
+        if (size.unknown) {
+            return -1;
+        }
+
+        offset += id.length + size.length + size.value;
+    }
+
+    return -1;
+}
+
+// Returns the parts of the file with chapters added. Only the first chunk, which holds the
+// headers, is read; the rest are passed through as blobs so the recording isn't copied.
+async function addWebmChapters(chunks, markers) {
+    if (!markers?.length || chunks.length === 0) {
+        return chunks;
+    }
+
+    const first = chunks[0];
+    const offset = findWebmFirstCluster(new Uint8Array(await first.arrayBuffer()));
+    if (offset < 0) {
+        return chunks;
+    }
+
+    return [first.slice(0, offset), buildWebmChapters(markers), first.slice(offset), ...chunks.slice(1)];
+}
+
+function getCapturedPeerConnections() {
+    const connections = getGlobalScope()?.valourPeerConnections;
+    return connections instanceof Set ? connections : null;
+}
+
+function getOpenPeerConnections() {
+    const connections = getCapturedPeerConnections();
+    if (!connections) {
+        return [];
+    }
+
+    // Connections that failed without being closed are still in the set
+    return Array.from(connections).filter((connection) =>
+        connection.signalingState !== "closed" && connection.connectionState !== "closed");
+}
+
+function roundStat(value, digits = 1) {
+    if (!Number.isFinite(value)) {
+        return null;
+    }
+
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function secondsToMs(seconds) {
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function getParticipantTrackSources(participants) {
+    const sources = new Map();
+
+    for (const participant of participants) {
+        const tracks = [
+            ["audio", participant.audioTrack],
+            ["video", getParticipantVideoTrack(participant)],
+            ["screenShare", getParticipantScreenShareTrack(participant)],
+            ["screenShareAudio", getParticipantScreenShareAudioTrack(participant)]
+        ];
+
+        for (const [source, track] of tracks) {
+            if (track?.id) {
+                sources.set(track.id, { peerId: participant.id, source });
+            }
+        }
+    }
+
+    return sources;
+}
+
+// Reads one inbound-rtp or outbound-rtp entry. Rates and loss are over the time since the
+// previous sample of the same entry. Outbound loss, jitter and RTT come from the receiver's
+// remote-inbound-rtp report.
+function readRtpStats(entry, report, previous, source) {
+    const outbound = entry.type === "outbound-rtp";
+    const remote = outbound ? report.get(entry.remoteId) : null;
+
+    const sample = {
+        bytes: (outbound ? entry.bytesSent : entry.bytesReceived) ?? 0,
+        packets: (outbound ? entry.packetsSent : entry.packetsReceived) ?? 0,
+        lost: (outbound ? remote?.packetsLost : entry.packetsLost) ?? 0,
+        timestamp: entry.timestamp
+    };
+
+    let bitrateKbps = null;
+    let packetLossPercent = null;
+    if (previous) {
+        const elapsedSeconds = (sample.timestamp - previous.timestamp) / 1000;
+        if (elapsedSeconds > 0) {
+            bitrateKbps = Math.max(0, sample.bytes - previous.bytes) * 8 / 1000 / elapsedSeconds;
+        }
+
+        // Packets sent already include the lost ones; packets received don't
+        const lost = Math.max(0, sample.lost - previous.lost);
+        const packets = Math.max(0, sample.packets - previous.packets);
+        const total = outbound ? packets : packets + lost;
+        if (total > 0) {
+            packetLossPercent = Math.min(100, lost / total * 100);
+        }
+    }
+
+    const jitter = outbound ? remote?.jitter : entry.jitter;
+    const roundTripTime = outbound ? remote?.roundTripTime : null;
+    const mimeType = report.get(entry.codecId)?.mimeType;
+
+    return {
+        sample,
+        stats: {
+            source,
+            kind: entry.kind ?? entry.mediaType ?? null,
+            direction: outbound ? "outbound" : "inbound",
+            bitrateKbps: roundStat(bitrateKbps),
+            packetLossPercent: roundStat(packetLossPercent),
+            jitterMs: roundStat(secondsToMs(jitter)),
+            roundTripTimeMs: roundStat(secondsToMs(roundTripTime)),
+            width: entry.frameWidth ?? null,
+            height: entry.frameHeight ?? null,
+            framesPerSecond: roundStat(entry.framesPerSecond),
+            codec: typeof mimeType === "string" ? mimeType.split("/").pop() : null
+        }
+    };
+}
+
+// Starts at 100 and takes off points for loss, then jitter, then round trip time
+function computeQualityScore(tracks, roundTripTimeMs) {
+    if (tracks.length === 0) {
+        return null;
+    }
+
+    const worst = (key) => Math.max(0, ...tracks.map((track) => track[key]).filter(Number.isFinite));
+    const lossPercent = worst("packetLossPercent");
+    const jitterMs = worst("jitterMs");
+
+    let score = 100;
+    score -= Math.min(50, lossPercent * 5);
+    score -= Math.min(25, Math.max(0, jitterMs - 30) * 0.5);
+    score -= Math.min(25, Math.max(0, (roundTripTimeMs ?? 0) - 200) / 12);
+
+    return Math.max(0, Math.round(score));
+}
+
+function getQualityLevel(score) {
+    if (score === null) {
+        return "unknown";
+    }
+
+    if (score >= QUALITY_GOOD_SCORE) {
+        return "good";
+    }
+
+    return score >= QUALITY_FAIR_SCORE ? "fair" : "poor";
+}
+
+async function collectCallStats(session) {
+    const activeMeeting = meeting;
+    if (!activeMeeting) {
+        return null;
+    }
+
+    const participants = getMeetingParticipants(activeMeeting);
+    const sources = getParticipantTrackSources(participants);
+    const tracksByPeer = new Map(participants.map((participant) => [participant.id, []]));
+    const samples = new Map();
+    let transportRoundTripTimeMs = null;
+
+    for (const connection of getOpenPeerConnections()) {
+        let report;
+        try {
+            report = await connection.getStats();
+        } catch {
+            continue;
+        }
+
+        for (const entry of report.values()) {
+            if (entry.type === "candidate-pair" && entry.nominated && entry.state === "succeeded"
+                && Number.isFinite(entry.currentRoundTripTime)) {
+                transportRoundTripTimeMs = Math.max(transportRoundTripTimeMs ?? 0, entry.currentRoundTripTime * 1000);
+                continue;
+            }
+
+            if (entry.type !== "inbound-rtp" && entry.type !== "outbound-rtp") {
+                continue;
+            }
+
+            const trackId = entry.type === "outbound-rtp"
+                ? report.get(entry.mediaSourceId)?.trackIdentifier
+                : entry.trackIdentifier;
+
+            const source = sources.get(trackId);
+            if (!source) {
+                continue;
+            }
+
+            const { sample, stats } = readRtpStats(entry, report, session.samples.get(entry.id), source.source);
+            samples.set(entry.id, sample);
+            tracksByPeer.get(source.peerId)?.push(stats);
+        }
+    }
+
+    session.samples = samples;
+
+    const selfId = activeMeeting.self?.id ?? null;
+    const results = [];
+    for (const [peerId, tracks] of tracksByPeer) {
+        const isSelf = peerId === selfId;
+
+        // Only our own round trip is known; remote participants' links aren't visible here
+        const roundTripTimes = [transportRoundTripTimeMs, ...tracks.map((track) => track.roundTripTimeMs)]
+            .filter(Number.isFinite);
+        const roundTripTimeMs = isSelf && roundTripTimes.length > 0 ? Math.max(...roundTripTimes) : null;
+
+        const qualityScore = computeQualityScore(tracks, roundTripTimeMs);
+        results.push({
+            peerId,
+            isSelf,
+            qualityScore,
+            quality: getQualityLevel(qualityScore),
+            roundTripTimeMs: roundStat(roundTripTimeMs),
+            tracks
+        });
+    }
+
+    return { participants: results };
+}
+
+async function pollCallStats(session) {
+    if (session.inFlight || callStats !== session) {
+        return;
+    }
+
+    session.inFlight = true;
+
+    try {
+        const stats = await collectCallStats(session);
+        if (stats && callStats === session) {
+            session.dotNetRef.invokeMethodAsync("OnCallStatsUpdated", stats).catch(() => {
+                // The component may have been disposed while a call was ending.
+            });
+        }
+    } catch {
+        // Stats are informational; try again next interval.
+    } finally {
+        session.inFlight = false;
+    }
+}
+
+export function startCallStats(dotNetRef, intervalMs = CALL_STATS_DEFAULT_INTERVAL_MS) {
+    stopCallStats();
+
+    // Without the capture script loaded ahead of the SDK there are no connections to read
+    if (!getCapturedPeerConnections()) {
+        return false;
+    }
+
+    const session = {
+        dotNetRef,
+        samples: new Map(),
+        inFlight: false,
+        timer: null
+    };
+
+    session.timer = setInterval(
+        () => void pollCallStats(session),
+        Math.max(CALL_STATS_MIN_INTERVAL_MS, intervalMs)
+    );
+
+    callStats = session;
+    return true;
+}
+
+export function stopCallStats() {
+    const session = callStats;
+    if (!session) {
+        return;
+    }
+
+    callStats = null;
+    clearInterval(session.timer);
+}
+
+function getElementVideoTrack(videoElement) {
+    const stream = videoElement?.srcObject;
+    if (!(stream instanceof MediaStream)) {
+        return null;
+    }
+
+    const tracks = stream.getVideoTracks();
+    return tracks.length > 0 ? tracks[0] : null;
+}
+
+function clearVideoElement(videoElement) {
+    if (!(videoElement?.srcObject instanceof MediaStream)) {
+        videoElement.srcObject = null;
+        return;
+    }
+
+    const currentStream = videoElement.srcObject;
+    for (const track of currentStream.getTracks()) {
+        currentStream.removeTrack(track);
+    }
+
+    videoElement.srcObject = null;
+}
+
+export function syncParticipantVideo(elementId, participantId, preferScreenShare = true) {
+    const activeMeeting = getMeetingOrThrow();
+    const videoElement = getVideoElement(elementId);
+    if (!videoElement) {
+        return;
+    }
+
+    const participant = getParticipantById(activeMeeting, participantId);
+    const videoTrack = getParticipantVideoTrack(participant);
+    const screenShareTrack = getParticipantScreenShareTrack(participant);
+    const selectedTrack = preferScreenShare ? screenShareTrack : videoTrack;
+    const shouldRenderTrack = preferScreenShare
+        ? !!screenShareTrack
+        : !!videoTrack && !!participant?.videoEnabled;
+
+    videoElement.autoplay = true;
+    videoElement.playsInline = true;
+    videoElement.muted = true;
+
+    if (!shouldRenderTrack) {
+        clearVideoElement(videoElement);
+        return;
+    }
+
+    const existingTrack = getElementVideoTrack(videoElement);
+    if (!existingTrack || existingTrack.id !== selectedTrack.id) {
+        videoElement.srcObject = new MediaStream([selectedTrack]);
+    }
+
+    const playResult = videoElement.play();
+    if (playResult && typeof playResult.catch === "function") {
+        playResult.catch(() => {
+            // Autoplay restrictions are expected until a user interaction occurs.
+        });
+    }
+}
+
+export async function invoke(path, args) {
+    const activeMeeting = getMeetingOrThrow();
+    const { target, method } = resolveTargetPath(activeMeeting, path);
+    const normalizedArgs = Array.isArray(args) ? args : [];
+
+    return await method.apply(target, normalizedArgs);
+}
+
+export function reset() {
+    void stopRecording();
+    stopRecordingWatch();
+    stopCallStats();
+    stopDeviceWatch();
+    stopSpeakingDetection();
+    resetMicGate();
+    stopMicTest();
+    releasePreviewHandoff();
+    stopOutputTest();
+    releaseAllParticipantAudioGraphs();
 
-export function reset() {
     if (!meeting) {
         return;
     }
@@ -1,4 +1,5 @@
 using Microsoft.JSInterop;
+using Valour.Client.Device;
 
 namespace Valour.Client.Components.Calls;
 
@@ -74,6 +75,110 @@ public sealed class RealtimeKitDeviceService : IAsyncDisposable
         return await module.InvokeAsync<bool>("requestCameraPermission");
     }
 
+    public async Task<bool> AttachMicLevelMeterAsync(string elementId, string? deviceId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("attachMicLevelMeter", elementId, deviceId);
+    }
+
+    public async Task DetachMicLevelMeterAsync()
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("detachMicLevelMeter");
+    }
+
+    public async Task SetMicProcessingAsync(MicProcessingSettings settings)
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("setMicProcessing", settings);
+    }
+
+    public async Task<bool> IsNoiseSuppressionAvailableAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("isNoiseSuppressionAvailable");
+    }
+
+    public async Task SetBackgroundEffectAsync(BackgroundEffectSettings settings)
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("setBackgroundEffect", settings);
+    }
+
+    public async Task<bool> IsBackgroundEffectsAvailableAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("isBackgroundEffectsAvailable");
+    }
+
+    public async Task<bool> StartMicTestAsync(string? deviceId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("startMicTest", deviceId);
+    }
+
+    public async Task StopMicTestAsync()
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("stopMicTest");
+    }
+
+    public async Task<InputMic[]> GetAudioOutputDevicesAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<InputMic[]>("getAudioOutputDevices");
+    }
+
+    public async Task<bool> IsAudioOutputSelectionSupportedAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("isAudioOutputSelectionSupported");
+    }
+
+    /// <summary>
+    /// Opens the camera and mic outside of the meeting, for checking them before joining.
+    /// </summary>
+    public async Task<CallPreviewResult> StartPreviewAsync(CallPreviewOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<CallPreviewResult>("startPreview", options);
+    }
+
+    /// <summary>
+    /// Closes the preview. With handOff, the next call joined takes over its tracks.
+    /// </summary>
+    public async Task StopPreviewAsync(bool handOff = false)
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("stopPreview", handOff);
+    }
+
+    /// <summary>
+    /// Stops any handed off preview tracks the meeting didn't take over when joining.
+    /// </summary>
+    public async Task ReleasePreviewHandoffAsync()
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("releasePreviewHandoff");
+    }
+
+    /// <summary>
+    /// Plays a short chime through the given output. Returns false if it can't play there.
+    /// </summary>
+    public async Task<bool> PlayOutputTestAsync(string? deviceId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("playOutputTest", deviceId);
+    }
+
+    public async Task StopOutputTestAsync()
+    {
+        var module = await GetModuleAsync();
+        await module.InvokeVoidAsync("stopOutputTest");
+    }
+
     public async ValueTask DisposeAsync()
     {
         if (_moduleTask is null || !_moduleTask.IsCompletedSuccessfully)
@@ -229,3 +229,271 @@ public class RealtimeKitParticipantState
     [JsonPropertyName("isSelf")]
     public bool IsSelf { get; set; }
 }
+
+/// <summary>
+/// How a participant's audio is mixed. Any of these, or a volume above 1, plays the
+/// participant through a WebAudio graph instead of the audio element alone.
+/// </summary>
+public class ParticipantAudioOptions
+{
+    /// <summary>
+    /// Pan the participant left-to-right by where they sit in the call layout.
+    /// </summary>
+    [JsonPropertyName("spatial")]
+    public bool Spatial { get; set; }
+
+    /// <summary>
+    /// Pan from -1 (left) to 1 (right), used when there is no tile to pan by.
+    /// </summary>
+    [JsonPropertyName("pan")]
+    public double Pan { get; set; }
+
+    /// <summary>
+    /// An element inside the participant's video tile. The pan follows the tile's position in the grid.
+    /// </summary>
+    [JsonPropertyName("panElementId")]
+    public string? PanElementId { get; set; }
+
+    /// <summary>
+    /// Run the participant through a compressor so loud speakers are evened out.
+    /// </summary>
+    [JsonPropertyName("normalize")]
+    public bool Normalize { get; set; }
+}
+
+/// <summary>
+/// When the local mic track sends audio. See <see cref="Valour.Client.Device.MicInputMode"/>.
+/// </summary>
+public class MicGateOptions
+{
+    /// <summary>
+    /// One of "open", "pushToTalk" or "voiceActivity".
+    /// </summary>
+    [JsonPropertyName("mode")]
+    public string Mode { get; set; } = "open";
+
+    /// <summary>
+    /// The voice activity threshold from 0 to 1, as a fraction of the level meter.
+    /// </summary>
+    [JsonPropertyName("threshold")]
+    public double Threshold { get; set; }
+
+    [JsonPropertyName("releaseDelayMs")]
+    public int ReleaseDelayMs { get; set; }
+}
+
+/// <summary>
+/// A microphone, camera or speaker being plugged in or out during a call, and what the
+/// call did about it.
+/// </summary>
+public class RealtimeKitDeviceChange
+{
+    public const string Added = "added";
+    public const string Removed = "removed";
+    public const string Fallback = "fallback";
+    public const string Restored = "restored";
+    public const string Unavailable = "unavailable";
+
+    /// <summary>
+    /// "audioinput", "videoinput" or "audiooutput".
+    /// </summary>
+    [JsonPropertyName("kind")]
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Added or Removed for devices the call isn't using. Fallback when the device in use
+    /// went away and the default took over, Restored when the preferred device came back,
+    /// and Unavailable when nothing could replace it.
+    /// </summary>
+    [JsonPropertyName("action")]
+    public string Action { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The device switched to, or the device that was added or removed.
+    /// </summary>
+    [JsonPropertyName("deviceId")]
+    public string? DeviceId { get; set; }
+
+    [JsonPropertyName("label")]
+    public string? Label { get; set; }
+
+    /// <summary>
+    /// A sentence describing the change, for showing to the user.
+    /// </summary>
+    [JsonPropertyName("message")]
+    public string Message { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Connection quality levels reported with call stats.
+/// </summary>
+public static class CallQuality
+{
+    public const string Good = "good";
+    public const string Fair = "fair";
+    public const string Poor = "poor";
+    public const string Unknown = "unknown";
+}
+
+/// <summary>
+/// One round of WebRTC stats from the call module, grouped by participant.
+/// </summary>
+public class RealtimeKitCallStats
+{
+    [JsonPropertyName("participants")]
+    public RealtimeKitParticipantStats[] Participants { get; set; } = Array.Empty<RealtimeKitParticipantStats>();
+}
+
+public class RealtimeKitParticipantStats
+{
+    [JsonPropertyName("peerId")]
+    public string? PeerId { get; set; }
+
+    [JsonPropertyName("isSelf")]
+    public bool IsSelf { get; set; }
+
+    /// <summary>
+    /// From 0 to 100, or null when there are no stats for the participant yet.
+    /// </summary>
+    [JsonPropertyName("qualityScore")]
+    public int? QualityScore { get; set; }
+
+    /// <summary>
+    /// One of the <see cref="CallQuality"/> levels.
+    /// </summary>
+    [JsonPropertyName("quality")]
+    public string Quality { get; set; } = CallQuality.Unknown;
+
+    /// <summary>
+    /// Only known for the local participant.
+    /// </summary>
+    [JsonPropertyName("roundTripTimeMs")]
+    public double? RoundTripTimeMs { get; set; }
+
+    [JsonPropertyName("tracks")]
+    public RealtimeKitTrackStats[] Tracks { get; set; } = Array.Empty<RealtimeKitTrackStats>();
+}
+
+public class RealtimeKitTrackStats
+{
+    /// <summary>
+    /// One of "audio", "video", "screenShare" or "screenShareAudio".
+    /// </summary>
+    [JsonPropertyName("source")]
+    public string? Source { get; set; }
+
+    [JsonPropertyName("kind")]
+    public string? Kind { get; set; }
+
+    /// <summary>
+    /// "outbound" for tracks we send, "inbound" for tracks we receive.
+    /// </summary>
+    [JsonPropertyName("direction")]
+    public string? Direction { get; set; }
+
+    [JsonPropertyName("bitrateKbps")]
+    public double? BitrateKbps { get; set; }
+
+    [JsonPropertyName("packetLossPercent")]
+    public double? PacketLossPercent { get; set; }
+
+    [JsonPropertyName("jitterMs")]
+    public double? JitterMs { get; set; }
+
+    [JsonPropertyName("roundTripTimeMs")]
+    public double? RoundTripTimeMs { get; set; }
+
+    [JsonPropertyName("width")]
+    public int? Width { get; set; }
+
+    [JsonPropertyName("height")]
+    public int? Height { get; set; }
+
+    [JsonPropertyName("framesPerSecond")]
+    public double? FramesPerSecond { get; set; }
+
+    [JsonPropertyName("codec")]
+    public string? Codec { get; set; }
+}
+
+/// <summary>
+/// What goes into a local call recording. Participant audio is always recorded.
+/// </summary>
+public class CallRecordingOptions
+{
+    /// <summary>
+    /// Also record the active screen share as video.
+    /// </summary>
+    [JsonPropertyName("includeScreenShare")]
+    public bool IncludeScreenShare { get; set; }
+
+    /// <summary>
+    /// The saved file's name, without the extension.
+    /// </summary>
+    [JsonPropertyName("fileName")]
+    public string? FileName { get; set; }
+
+    /// <summary>
+    /// The recording stops and saves by itself after this many seconds. 0 for no limit.
+    /// </summary>
+    [JsonPropertyName("maxDurationSeconds")]
+    public int MaxDurationSeconds { get; set; }
+
+    /// <summary>
+    /// The recording stops and saves by itself once the file reaches this size. 0 for no limit.
+    /// </summary>
+    [JsonPropertyName("maxBytes")]
+    public long MaxBytes { get; set; }
+}
+
+/// <summary>
+/// The devices to open for the pre-join preview, outside of the meeting.
+/// </summary>
+public class CallPreviewOptions
+{
+    [JsonPropertyName("audio")]
+    public bool Audio { get; set; }
+
+    [JsonPropertyName("video")]
+    public bool Video { get; set; }
+
+    [JsonPropertyName("audioDeviceId")]
+    public string? AudioDeviceId { get; set; }
+
+    [JsonPropertyName("videoDeviceId")]
+    public string? VideoDeviceId { get; set; }
+
+    /// <summary>
+    /// The id of the video element the camera is shown in.
+    /// </summary>
+    [JsonPropertyName("videoElementId")]
+    public string? VideoElementId { get; set; }
+}
+
+/// <summary>
+/// What the pre-join preview opened. The device ids can differ from the requested ones
+/// when those were missing and the system default was used instead.
+/// </summary>
+public class CallPreviewResult
+{
+    [JsonPropertyName("audio")]
+    public bool Audio { get; set; }
+
+    [JsonPropertyName("video")]
+    public bool Video { get; set; }
+
+    [JsonPropertyName("audioDeviceId")]
+    public string? AudioDeviceId { get; set; }
+
+    [JsonPropertyName("videoDeviceId")]
+    public string? VideoDeviceId { get; set; }
+}
+
+/// <summary>
+/// What to turn on when joining a call from the pre-join preview.
+/// </summary>
+public class CallJoinOptions
+{
+    public bool MicEnabled { get; set; } = true;
+    public bool CameraEnabled { get; set; }
+}
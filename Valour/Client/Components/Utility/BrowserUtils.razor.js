@@ -3,7 +3,12 @@ export const init = (dotnet) => {
         const dimensions = getWindowDimensions();
         await dotnet.invokeMethodAsync('NotifyWindowDimensions', { width: dimensions.width, height: dimensions.height });
     };
+    // Keeps .NET up to date on whether the page can be seen and has focus
+    const notifyFocusState = async () => {
+        await dotnet.invokeMethodAsync('NotifyFocusState', !document.hidden, document.hasFocus());
+    };
     const onBlur = async () => {
+        await notifyFocusState();
         await dotnet.invokeMethodAsync('NotifyBlur');
     };
     window.addEventListener('resize', onResize);
@@ -26,6 +31,7 @@ export const init = (dotnet) => {
     if (hiddenProperty) {
         document.addEventListener(visibilityChangeEvent, async () => {
             console.log("Visibility change event detected.");
+            await notifyFocusState();
             if (!document[hiddenProperty]) {
                 // Page is visible
                 await handleRefocus();
@@ -35,8 +41,10 @@ export const init = (dotnet) => {
     // Window focus event listener
     window.addEventListener("focus", async () => {
         console.log("Window focus event detected.");
+        await notifyFocusState();
         await handleRefocus();
     });
+    void notifyFocusState();
 };
 export const getWindowDimensions = () => {
     const { innerWidth: width, innerHeight: height } = window;
@@ -22,7 +22,13 @@ export const init = (dotnet: DotnetObject) => {
         await dotnet.invokeMethodAsync('NotifyWindowDimensions', { width: dimensions.width, height: dimensions.height });
     };
 
+    // Keeps .NET up to date on whether the page can be seen and has focus
+    const notifyFocusState = async () => {
+        await dotnet.invokeMethodAsync('NotifyFocusState', !document.hidden, document.hasFocus());
+    };
+
     const onBlur = async () => {
+        await notifyFocusState();
         await dotnet.invokeMethodAsync('NotifyBlur');
     };
 
@@ -51,6 +57,7 @@ export const init = (dotnet: DotnetObject) => {
     if (hiddenProperty) {
         document.addEventListener(visibilityChangeEvent, async () => {
             console.log("Visibility change event detected.");
+            await notifyFocusState();
 
             if (!document[hiddenProperty as keyof Document]) {
                 // Page is visible
@@ -62,8 +69,11 @@ export const init = (dotnet: DotnetObject) => {
     // Window focus event listener
     window.addEventListener("focus", async () => {
         console.log("Window focus event detected.");
+        await notifyFocusState();
         await handleRefocus();
     });
+
+    void notifyFocusState();
 };
 
 export const getWindowDimensions = (): Dimensions => {
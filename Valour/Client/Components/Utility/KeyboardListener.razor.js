@@ -1,14 +1,37 @@
+function toKeyboardEvent(event) {
+    return {
+        code: event.code,
+        key: event.key,
+        location: event.location,
+        repeat: event.repeat,
+        shiftKey: event.shiftKey,
+        ctrlKey: event.ctrlKey,
+        altKey: event.altKey,
+        metaKey: event.metaKey,
+        editableTarget: isEditable(event.target),
+    };
+}
+
+// Inputs that are clicked or dragged rather than typed into
+const nonTextInputTypes = new Set(['button', 'checkbox', 'color', 'file', 'radio', 'range', 'reset', 'submit']);
+
+// Whether the key went to something the user types into, like the chat input
+function isEditable(target) {
+    if (!(target instanceof HTMLElement))
+        return false;
+
+    if (target instanceof HTMLInputElement)
+        return !nonTextInputTypes.has(target.type);
+
+    return target.isContentEditable || target instanceof HTMLTextAreaElement;
+}
+
 export function init(dotNetReference) {
     document.addEventListener('keydown', event => {
-        dotNetReference.invokeMethodAsync('OnKeyDownInteropAsync', {
-            code: event.code,
-            key: event.key,
-            location: event.location,
-            repeat: event.repeat,
-            shiftKey: event.shiftKey,
-            ctrlKey: event.ctrlKey,
-            altKey: event.altKey,
-            metaKey: event.metaKey,
-        });
+        dotNetReference.invokeMethodAsync('OnKeyDownInteropAsync', toKeyboardEvent(event));
+    });
+
+    document.addEventListener('keyup', event => {
+        dotNetReference.invokeMethodAsync('OnKeyUpInteropAsync', toKeyboardEvent(event));
     });
 }
\ No newline at end of file
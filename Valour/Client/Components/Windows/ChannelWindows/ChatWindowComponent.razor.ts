@@ -1,56 +1,241 @@
 ﻿import DotnetObject = DotNet.DotnetObject;
 
+// Where a message sat in the viewport, used to keep it still while content changes around it
+type ScrollAnchor = {
+    elementId: string;
+    offset: number;
+};
+
+// Saved per channel so a re-opened or moved chat window comes back to the same place
+type SavedScrollPosition = {
+    messageId: string;
+    offset: number;
+};
+
+// Loading more history in one direction
+type LoadState = {
+    inFlight: Promise<boolean> | null;
+    retryAt: number;
+    backoff: number;
+};
+
+type LoadDirection = 'top' | 'bottom';
+
+// What the component reports after loading at one edge
+type LoadResult = {
+    hasMore: boolean;
+    trimmed: boolean;
+};
+
+// A loaded message's id and when it was sent, in unix milliseconds
+type TimelineEntry = {
+    id: string;
+    time: number;
+};
+
 type Channel = {
     dotnet: DotnetObject;
     messageWrapperEl: HTMLElement;
-    oldScrollHeight: number;
-    oldScrollTop: number;
+    channelId: string;
     lastTopLoadPos: number;
     stickToBottom: boolean;
-    scrollUpTimer: number;
-    scrollDownTimer: number;
     scrollTimer: number;
     
+    // History loading state
+    loads: Record<LoadDirection, LoadState>;
+    lastScrollTop: number;
+    lastScrollTime: number;
+    scrollVelocity: number;
+    
+    // Virtualization state
+    anchor: ScrollAnchor | null;
+    expectedScrollTop: number;
+    pendingHeights: Map<string, number>;
+    visibleFirstId: string | null;
+    visibleLastId: string | null;
+    visibleRangeTimer: number | null;
+    resizeObserver: ResizeObserver | null;
+    widthObserver: ResizeObserver | null;
+    chatWidth: number;
+    widthChangeTimer: number | null;
+    mutationObserver: MutationObserver | null;
+    
+    // Read tracking state
+    readObserver: IntersectionObserver | null;
+    readCandidates: Set<HTMLElement>;
+    lastReadId: bigint | null;
+    lastReadTimer: number | null;
+    handleVisibilityChange: () => void;
+    
+    // Keyboard navigation state
+    focusedElementId: string | null;
+    handleKeyDown: (e: KeyboardEvent) => void;
+    
+    // Timeline scrubber state
+    timelineEl: HTMLElement | null;
+    timelineTrackEl: HTMLElement | null;
+    timelineDaysEl: HTMLElement | null;
+    timelineThumbEl: HTMLElement | null;
+    timelineLabelEl: HTMLElement | null;
+    timelineStart: number;
+    timelineEntries: TimelineEntry[];
+    timelineTimes: Map<string, number>;
+    scrubbing: boolean;
+    
     hookEvents(): void;
     cleanup(): void;
     
-    updateScrollPosition(): void;
-    scaleScrollPosition(): void;
-    shiftScrollPosition(amount: number): void;
     isAtBottom(): boolean;
     checkBottomSticky(): void;
+    setScrollTop(value: number): void;
     scrollToBottom(force: boolean): void;
     scrollToBottomAnimated(): void;
     handleChatWindowScroll(e: MouseEvent): void;
+    updateScrollVelocity(): void;
+    getPrefetchDistance(direction: LoadDirection): number;
+    checkLoadEdges(): void;
+    loadMore(direction: LoadDirection): Promise<boolean>;
+    resetLoadState(): void;
     scrollToMessage(elementId: string, highlight: boolean): void;
+    
+    getMessageElements(): HTMLElement[];
+    findFirstVisible(elements: HTMLElement[], top: number): number;
+    captureAnchor(): void;
+    anchorOn(elementId: string): void;
+    restoreAnchor(): void;
+    keepPosition(): void;
+    observeMessages(nodes: NodeList): void;
+    measureMessage(el: HTMLElement): void;
+    scheduleVisibleRange(): void;
+    reportVisibleRange(): Promise<void>;
+    
+    processReadCandidates(): void;
+    scheduleLastRead(): void;
+    
+    saveScrollPosition(): void;
+    restoreScrollPosition(): boolean;
+    
+    getFocusableMessages(): HTMLElement[];
+    focusMessage(el: HTMLElement): void;
+    moveFocus(direction: number): void;
+    updateRovingTabStop(): void;
+    
+    buildTimeline(): void;
+    setTimeline(startTime: number, entries: [string, number][]): void;
+    getTimelineRange(): [number, number];
+    renderTimelineDays(): void;
+    updateTimelineThumb(): void;
+    previewTimeline(clientY: number): number;
+};
+
+// Message elements (and the spacers standing in for them) have ids of the form m-{channelId}-{messageId}
+const isMessageElement = (node: Node): node is HTMLElement =>
+    node instanceof HTMLElement && node.id.startsWith('m-');
+
+const isSpacer = (el: HTMLElement) => el.classList.contains('message-spacer');
+
+const getMessageId = (el: HTMLElement) => el.id.substring(el.id.lastIndexOf('-') + 1);
+
+const isTextEntry = (el: HTMLElement) =>
+    el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el.isContentEditable;
+
+const formatTimelineDate = (time: number) =>
+    new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Single key shortcuts for the focused message, handled by .NET
+const messageKeyActions: Record<string, string> = {
+    'r': 'reply',
+    'e': 'edit',
+    '+': 'react',
+    'c': 'copy-link',
+    'm': 'context-menu'
 };
 
-export function init(dotnet: DotnetObject, messageWrapperEl: HTMLElement): Channel{
+// How far from an edge more history is requested, and how far ahead a fast scroll looks
+const basePrefetchDistance = 2000;
+const minPrefetchDistance = 1000;
+const maxPrefetchDistance = 10000;
+const prefetchLookahead = 1000; // ms
+
+// When the server has nothing more in a direction, wait this long (doubling each time) before asking again
+const minLoadBackoff = 5000;
+const maxLoadBackoff = 60000;
+
+const createLoadState = (): LoadState => ({ inFlight: null, retryAt: 0, backoff: 0 });
+
+const scrollPositionsKey = 'chat-scroll-positions';
+const maxSavedScrollPositions = 50;
+
+const loadScrollPositions = (): Record<string, SavedScrollPosition> => {
+    try {
+        return JSON.parse(sessionStorage.getItem(scrollPositionsKey)) ?? {};
+    } catch {
+        return {};
+    }
+};
+
+// Shared by every chat window, and kept in session storage so it survives a reload
+const scrollPositions = loadScrollPositions();
+
+const persistScrollPositions = () => {
+    // Object keys keep insertion order, so the oldest entries are first
+    const channelIds = Object.keys(scrollPositions);
+    for (let i = 0; i < channelIds.length - maxSavedScrollPositions; i++) {
+        delete scrollPositions[channelIds[i]];
+    }
+    
+    try {
+        sessionStorage.setItem(scrollPositionsKey, JSON.stringify(scrollPositions));
+    } catch {
+        // Storage may be full or unavailable; the in-memory positions still work
+    }
+};
+
+export function init(dotnet: DotnetObject, messageWrapperEl: HTMLElement, channelId: string, timelineEl: HTMLElement = null): Channel{
     
     const channel: Channel = {
         dotnet: dotnet,
         messageWrapperEl: messageWrapperEl,
-        oldScrollHeight: 0,
-        oldScrollTop: 0,
+        channelId: channelId,
         lastTopLoadPos: 0,
         stickToBottom: true,
-        scrollUpTimer: Date.now(),
-        scrollDownTimer: Date.now(),
         scrollTimer: Date.now(),
         
-        updateScrollPosition(){
-            this.oldScrollHeight = this.messageWrapperEl.scrollHeight;
-            this.oldScrollTop = this.messageWrapperEl.scrollTop;
-        },
+        loads: { top: createLoadState(), bottom: createLoadState() },
+        lastScrollTop: messageWrapperEl.scrollTop,
+        lastScrollTime: performance.now(),
+        scrollVelocity: 0,
         
-        scaleScrollPosition(){
-            this.messageWrapperEl.scrollTop = this.oldScrollTop + (this.messageWrapperEl.scrollHeight - this.oldScrollHeight);
-        },
+        anchor: null,
+        expectedScrollTop: 0,
+        pendingHeights: new Map(),
+        visibleFirstId: null,
+        visibleLastId: null,
+        visibleRangeTimer: null,
+        resizeObserver: null,
+        widthObserver: null,
+        chatWidth: 0,
+        widthChangeTimer: null,
+        mutationObserver: null,
         
-        shiftScrollPosition(amount: number){
-            this.updateScrollPosition();
-            this.messageWrapperEl.scrollTop = this.oldScrollTop + amount;
-        },
+        readObserver: null,
+        readCandidates: new Set(),
+        lastReadId: null,
+        lastReadTimer: null,
+        handleVisibilityChange: null,
+        
+        focusedElementId: null,
+        handleKeyDown: null,
+        
+        timelineEl: timelineEl,
+        timelineTrackEl: null,
+        timelineDaysEl: null,
+        timelineThumbEl: null,
+        timelineLabelEl: null,
+        timelineStart: 0,
+        timelineEntries: [],
+        timelineTimes: new Map(),
+        scrubbing: false,
         
         isAtBottom(){
             return (this.messageWrapperEl.scrollHeight - (this.messageWrapperEl.scrollTop + this.messageWrapperEl.getBoundingClientRect().height)) < 200;
@@ -60,10 +245,17 @@ export function init(dotnet: DotnetObject, messageWrapperEl: HTMLElement): Chann
             this.stickToBottom = this.isAtBottom();
         },
         
+        setScrollTop(value: number){
+            // Remember where we put it, so the scroll event this causes isn't mistaken for the user scrolling
+            this.messageWrapperEl.scrollTop = value;
+            this.expectedScrollTop = this.messageWrapperEl.scrollTop;
+        },
+        
         scrollToBottom(force){
             if (force || this.stickToBottom){
-                this.messageWrapperEl.scrollTop = this.messageWrapperEl.scrollHeight;
+                this.setScrollTop(this.messageWrapperEl.scrollHeight);
                 this.stickToBottom = true;
+                this.anchor = null;
             }
         },
         
@@ -79,36 +271,132 @@ export function init(dotnet: DotnetObject, messageWrapperEl: HTMLElement): Chann
             
             const channel: Channel = this['context'];
             
-            // Scrollbar is visible
-            if (this.scrollHeight > this.clientHeight) {
-                // User has reached top of scroll
-                if (this.scrollTop < 2000 && channel.scrollUpTimer < (Date.now() - 500)) {
-                    channel.scrollUpTimer = Date.now();
-                    await channel.dotnet.invokeMethodAsync('OnScrollTopInvoke');
-                }
-                
-                // User has reached bottom of scroll
-                const distFromBottom = this.scrollHeight - (this.scrollTop + this.clientHeight);
-                if (distFromBottom < 2000 && channel.scrollDownTimer < (Date.now() - 500)) {
-                    channel.scrollDownTimer = Date.now();
-                    await channel.dotnet.invokeMethodAsync('OnScrollBottomInvoke');
-                }
-
-                // Normal scroll event
-                if (channel.scrollTimer < (Date.now() - 500)) {
-                    await channel.dotnet.invokeMethodAsync('OnDebouncedScroll');
-                }
+            // Only re-anchor when the user moved the view, not when we did
+            if (Math.abs(this.scrollTop - channel.expectedScrollTop) > 1) {
+                channel.captureAnchor();
             }
-
+            
             channel.checkBottomSticky();
+            channel.scheduleVisibleRange();
+            channel.updateScrollVelocity();
+            channel.checkLoadEdges();
+            
+            // Normal scroll event
+            if (this.scrollHeight > this.clientHeight && channel.scrollTimer < (Date.now() - 500)) {
+                await channel.dotnet.invokeMethodAsync('OnDebouncedScroll');
+            }
+        },
+        
+        updateScrollVelocity(){
+            const now = performance.now();
+            const elapsed = Math.max(now - this.lastScrollTime, 1);
+            const velocity = (this.messageWrapperEl.scrollTop - this.lastScrollTop) / elapsed;
+            
+            // Smooth out jitter between events, but start over after a pause
+            this.scrollVelocity = elapsed > 200 ? velocity : this.scrollVelocity * 0.7 + velocity * 0.3;
+            
+            this.lastScrollTop = this.messageWrapperEl.scrollTop;
+            this.lastScrollTime = now;
+        },
+        
+        getPrefetchDistance(direction: LoadDirection){
+            // Velocity is in px/ms, positive when scrolling down
+            const towardEdge = direction === 'top' ? -this.scrollVelocity : this.scrollVelocity;
+            
+            // Scrolling away from an edge can wait, scrolling toward it looks further ahead the faster it goes
+            if (towardEdge <= 0) return minPrefetchDistance;
+            
+            return Math.min(basePrefetchDistance + towardEdge * prefetchLookahead, maxPrefetchDistance);
+        },
+        
+        checkLoadEdges(){
+            const el = this.messageWrapperEl;
+            
+            // Scrollbar is not visible
+            if (el.scrollHeight <= el.clientHeight) return;
+            
+            if (el.scrollTop < this.getPrefetchDistance('top')) {
+                this.loadMore('top');
+            }
+            
+            const distFromBottom = el.scrollHeight - (el.scrollTop + el.clientHeight);
+            if (distFromBottom < this.getPrefetchDistance('bottom')) {
+                this.loadMore('bottom');
+            }
+        },
+        
+        loadMore(direction: LoadDirection){
+            const state = this.loads[direction];
+            
+            // Only one load per direction at a time, and none while backing off
+            if (state.inFlight) return state.inFlight;
+            if (Date.now() < state.retryAt) return Promise.resolve(false);
+            
+            // Tell screen readers the feed is loading more articles
+            this.messageWrapperEl.setAttribute('aria-busy', 'true');
+            
+            const method = direction === 'top' ? 'OnScrollTopInvoke' : 'OnScrollBottomInvoke';
+            
+            const load: Promise<boolean> = this.dotnet.invokeMethodAsync(method)
+                .catch((): LoadResult => ({ hasMore: false, trimmed: false }))
+                .then(({ hasMore, trimmed }: LoadResult) => {
+                    if (hasMore) {
+                        state.backoff = 0;
+                        state.retryAt = 0;
+                    } else {
+                        state.backoff = Math.min(state.backoff ? state.backoff * 2 : minLoadBackoff, maxLoadBackoff);
+                        state.retryAt = Date.now() + state.backoff;
+                    }
+                    
+                    // Loading one side can trim the other, so it has more to load again.
+                    // Only then, or a caught up edge would keep clearing the other's backoff.
+                    if (trimmed) {
+                        const opposite = this.loads[direction === 'top' ? 'bottom' : 'top'];
+                        opposite.backoff = 0;
+                        opposite.retryAt = 0;
+                    }
+                    
+                    return hasMore;
+                })
+                .finally(() => {
+                    state.inFlight = null;
+                    
+                    if (!this.loads.top.inFlight && !this.loads.bottom.inFlight) {
+                        this.messageWrapperEl.setAttribute('aria-busy', 'false');
+                    }
+                });
+            
+            state.inFlight = load;
+            
+            // A slow scroll may still be near the edge once the load lands, so check again
+            load.then((hasMore) => {
+                if (hasMore) {
+                    requestAnimationFrame(() => this.checkLoadEdges());
+                }
+            });
+            
+            return load;
+        },
+        
+        resetLoadState(){
+            // The loaded window changed (e.g. jumped to a message), so earlier "no more history" answers no longer apply
+            this.loads = { top: createLoadState(), bottom: createLoadState() };
         },
         
         scrollToMessage(elementId: string, highlight: boolean){
             // Wait for layout, then instant-scroll, then trigger highlight animation.
             requestAnimationFrame(() => {
-                const el = document.getElementById(elementId);
+                const el = this.messageWrapperEl.querySelector(`:scope > #${elementId}`) as HTMLElement;
                 if (!el) return;
                 el.scrollIntoView({ block: 'center', behavior: 'instant' });
+                this.expectedScrollTop = this.messageWrapperEl.scrollTop;
+                
+                // Hold the message in place while the messages around it load
+                this.checkBottomSticky();
+                if (!this.stickToBottom) {
+                    this.anchorOn(elementId);
+                }
+                
                 if (highlight) {
                     // Force animation restart by removing and re-adding the class
                     el.classList.remove('highlighted');
@@ -116,15 +404,528 @@ export function init(dotnet: DotnetObject, messageWrapperEl: HTMLElement): Chann
                     el.classList.add('highlighted');
                     setTimeout(() => el.classList.remove('highlighted'), 3000);
                 }
+                
+                this.scheduleVisibleRange();
             });
         },
+        
+        getMessageElements(){
+            return Array.from(this.messageWrapperEl.children).filter(isMessageElement);
+        },
+        
+        findFirstVisible(elements: HTMLElement[], top: number){
+            // Messages are laid out top to bottom, so binary search for the first one not entirely above the fold
+            let low = 0;
+            let high = elements.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (elements[mid].getBoundingClientRect().bottom <= top) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            
+            return low;
+        },
+        
+        captureAnchor(){
+            const elements = this.getMessageElements();
+            const top = this.messageWrapperEl.getBoundingClientRect().top;
+            const index = this.findFirstVisible(elements, top);
+            if (index >= elements.length) {
+                this.anchor = null;
+                return;
+            }
+            
+            this.anchor = {
+                elementId: elements[index].id,
+                offset: elements[index].getBoundingClientRect().top - top
+            };
+        },
+        
+        anchorOn(elementId: string){
+            const el = this.messageWrapperEl.querySelector(`:scope > #${elementId}`);
+            if (!el) return;
+            
+            this.anchor = {
+                elementId: elementId,
+                offset: el.getBoundingClientRect().top - this.messageWrapperEl.getBoundingClientRect().top
+            };
+        },
+        
+        restoreAnchor(){
+            if (!this.anchor) return;
+            
+            // The element may have been swapped for a spacer or back, so look it up again by id
+            const el = this.messageWrapperEl.querySelector(`:scope > #${this.anchor.elementId}`);
+            if (!el) {
+                this.captureAnchor();
+                return;
+            }
+            
+            const offset = el.getBoundingClientRect().top - this.messageWrapperEl.getBoundingClientRect().top;
+            const delta = offset - this.anchor.offset;
+            if (Math.abs(delta) >= 1) {
+                this.setScrollTop(this.messageWrapperEl.scrollTop + delta);
+            }
+        },
+        
+        keepPosition(){
+            if (this.stickToBottom) {
+                this.scrollToBottom(false);
+            } else {
+                this.restoreAnchor();
+            }
+            
+            this.scheduleVisibleRange();
+        },
+        
+        observeMessages(nodes: NodeList){
+            nodes.forEach((node) => {
+                if (isMessageElement(node) && !isSpacer(node)) {
+                    this.resizeObserver.observe(node);
+                    this.readObserver.observe(node);
+                }
+            });
+        },
+        
+        measureMessage(el: HTMLElement){
+            const style = getComputedStyle(el);
+            const height = el.getBoundingClientRect().height + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+            if (height > 0) {
+                this.pendingHeights.set(getMessageId(el), height);
+            }
+        },
+        
+        scheduleVisibleRange(){
+            if (this.visibleRangeTimer !== null) return;
+            
+            this.visibleRangeTimer = window.setTimeout(async () => {
+                this.visibleRangeTimer = null;
+                await this.reportVisibleRange();
+            }, 100);
+        },
+        
+        async reportVisibleRange(){
+            const elements = this.getMessageElements();
+            if (elements.length === 0) return;
+            
+            const rect = this.messageWrapperEl.getBoundingClientRect();
+            const first = Math.min(this.findFirstVisible(elements, rect.top), elements.length - 1);
+            let last = first;
+            while (last + 1 < elements.length && elements[last + 1].getBoundingClientRect().top < rect.bottom) {
+                last++;
+            }
+            
+            const firstId = getMessageId(elements[first]);
+            const lastId = getMessageId(elements[last]);
+            
+            if (firstId === this.visibleFirstId && lastId === this.visibleLastId && this.pendingHeights.size === 0) return;
+            
+            this.visibleFirstId = firstId;
+            this.visibleLastId = lastId;
+            this.updateTimelineThumb();
+            
+            const heights = Object.fromEntries(this.pendingHeights);
+            this.pendingHeights.clear();
+            
+            await this.dotnet.invokeMethodAsync('OnVisibleRangeChanged', firstId, lastId, heights);
+        },
+        
+        processReadCandidates(){
+            // Nothing counts as read while the tab is in the background
+            if (document.hidden) return;
+            
+            let changed = false;
+            
+            for (const el of this.readCandidates) {
+                const id = getMessageId(el);
+                
+                // Ghost messages don't have an id yet
+                if (!el.isConnected || id === '0') continue;
+                
+                // Snowflake ids don't fit in a double, so compare them as bigints
+                const messageId = BigInt(id);
+                if (this.lastReadId === null || messageId > this.lastReadId) {
+                    this.lastReadId = messageId;
+                    changed = true;
+                }
+            }
+            
+            if (changed) {
+                this.scheduleLastRead();
+            }
+        },
+        
+        scheduleLastRead(){
+            if (this.lastReadTimer !== null) return;
+            
+            this.lastReadTimer = window.setTimeout(async () => {
+                this.lastReadTimer = null;
+                await this.dotnet.invokeMethodAsync('OnLastReadChanged', this.lastReadId.toString());
+            }, 1000);
+        },
+        
+        saveScrollPosition(){
+            // Being at the bottom is the default, so there's nothing to remember
+            delete scrollPositions[this.channelId];
+            
+            if (!this.stickToBottom && this.anchor) {
+                scrollPositions[this.channelId] = {
+                    messageId: this.anchor.elementId.substring(this.anchor.elementId.lastIndexOf('-') + 1),
+                    offset: this.anchor.offset
+                };
+            }
+            
+            persistScrollPositions();
+        },
+        
+        restoreScrollPosition(){
+            const saved = scrollPositions[this.channelId];
+            if (!saved) return false;
+            
+            // The message may not be loaded anymore, in which case .NET falls back to the bottom
+            const elementId = `m-${this.channelId}-${saved.messageId}`;
+            if (!this.messageWrapperEl.querySelector(`:scope > #${elementId}`)) return false;
+            
+            this.stickToBottom = false;
+            this.anchor = { elementId: elementId, offset: saved.offset };
+            this.restoreAnchor();
+            this.scheduleVisibleRange();
+            
+            return true;
+        },
+        
+        getFocusableMessages(){
+            // Spacers and ghost messages can't be acted on
+            return this.getMessageElements().filter((el) => !isSpacer(el) && getMessageId(el) !== '0');
+        },
+        
+        focusMessage(el: HTMLElement){
+            // Roving tab stop: only the focused message is in the tab order.
+            // The focus is marked with a data attribute because Blazor rewrites the class on re-render.
+            const previous = this.focusedElementId
+                ? this.messageWrapperEl.querySelector(`:scope > #${this.focusedElementId}`)
+                : null;
+            
+            if (previous && previous !== el) {
+                previous.removeAttribute('data-keyboard-focus');
+                previous.setAttribute('tabindex', '-1');
+            }
+            
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('data-keyboard-focus', '');
+            this.focusedElementId = el.id;
+            
+            el.focus({ preventScroll: true });
+            el.scrollIntoView({ block: 'nearest' });
+        },
+        
+        moveFocus(direction: number){
+            const messages = this.getFocusableMessages();
+            if (messages.length === 0) return;
+            
+            let index = messages.findIndex((el) => el.id === this.focusedElementId);
+            
+            if (index === -1 || !this.messageWrapperEl.contains(document.activeElement)) {
+                // Coming in from outside the list, so start from what's on screen
+                const top = this.messageWrapperEl.getBoundingClientRect().top;
+                const first = this.findFirstVisible(messages, top);
+                const bottom = this.messageWrapperEl.getBoundingClientRect().bottom;
+                let last = first;
+                while (last + 1 < messages.length && messages[last + 1].getBoundingClientRect().top < bottom) {
+                    last++;
+                }
+                
+                index = direction < 0 ? last : first;
+            } else {
+                index = Math.max(0, Math.min(messages.length - 1, index + direction));
+            }
+            
+            if (index < messages.length) {
+                this.focusMessage(messages[index]);
+            }
+        },
+        
+        updateRovingTabStop(){
+            // Keep exactly one message reachable with Tab, even after the focused one is trimmed away
+            if (this.focusedElementId && this.messageWrapperEl.querySelector(`:scope > #${this.focusedElementId}`)) return;
+            
+            const messages = this.getFocusableMessages();
+            if (messages.length === 0) return;
+            
+            const last = messages[messages.length - 1];
+            last.setAttribute('tabindex', '0');
+            this.focusedElementId = last.id;
+        },
 
+        buildTimeline(){
+            if (!this.timelineEl) return;
+            
+            this.timelineTrackEl = document.createElement('div');
+            this.timelineTrackEl.className = 'timeline-track';
+            
+            this.timelineDaysEl = document.createElement('div');
+            this.timelineDaysEl.className = 'timeline-days';
+            
+            this.timelineThumbEl = document.createElement('div');
+            this.timelineThumbEl.className = 'timeline-thumb';
+            
+            this.timelineLabelEl = document.createElement('div');
+            this.timelineLabelEl.className = 'timeline-label';
+            
+            this.timelineTrackEl.append(this.timelineDaysEl, this.timelineThumbEl, this.timelineLabelEl);
+            this.timelineEl.replaceChildren(this.timelineTrackEl);
+            
+            // Dragging previews the date under the pointer, and releasing asks .NET to go there
+            this.timelineTrackEl.addEventListener('pointerdown', (e: PointerEvent) => {
+                if (this.timelineEntries.length === 0) return;
+                
+                e.preventDefault();
+                this.timelineTrackEl.setPointerCapture(e.pointerId);
+                this.scrubbing = true;
+                this.timelineEl.classList.add('scrubbing');
+                this.previewTimeline(e.clientY);
+            });
+            
+            this.timelineTrackEl.addEventListener('pointermove', (e: PointerEvent) => {
+                if (this.scrubbing) {
+                    this.previewTimeline(e.clientY);
+                }
+            });
+            
+            const endScrub = async (e: PointerEvent, seek: boolean) => {
+                if (!this.scrubbing) return;
+                
+                this.scrubbing = false;
+                this.timelineEl.classList.remove('scrubbing');
+                
+                const time = this.previewTimeline(e.clientY);
+                this.updateTimelineThumb();
+                
+                if (seek) {
+                    await this.dotnet.invokeMethodAsync('OnTimelineSeek', time);
+                }
+            };
+            
+            this.timelineTrackEl.addEventListener('pointerup', (e: PointerEvent) => endScrub(e, true));
+            this.timelineTrackEl.addEventListener('pointercancel', (e: PointerEvent) => endScrub(e, false));
+        },
+        
+        setTimeline(startTime: number, entries: [string, number][]){
+            this.timelineStart = startTime;
+            this.timelineEntries = entries.map(([id, time]) => ({ id, time }));
+            this.timelineTimes = new Map(entries);
+            
+            this.renderTimelineDays();
+            this.updateTimelineThumb();
+        },
+        
+        getTimelineRange(){
+            // From the first message in the channel (or the oldest loaded one, if that isn't known) to now
+            const start = this.timelineStart || this.timelineEntries[0]?.time || Date.now();
+            return [start, Math.max(Date.now(), start + 1)];
+        },
+        
+        renderTimelineDays(){
+            if (!this.timelineDaysEl) return;
+            
+            const [start, end] = this.getTimelineRange();
+            const markers: HTMLElement[] = [];
+            let lastDay = '';
+            
+            // One marker at the first loaded message of each day
+            for (const entry of this.timelineEntries) {
+                const day = new Date(entry.time).toDateString();
+                if (day === lastDay) continue;
+                lastDay = day;
+                
+                const marker = document.createElement('div');
+                marker.className = 'timeline-day';
+                marker.style.top = `${((entry.time - start) / (end - start)) * 100}%`;
+                marker.title = formatTimelineDate(entry.time);
+                markers.push(marker);
+            }
+            
+            this.timelineDaysEl.replaceChildren(...markers);
+        },
+        
+        updateTimelineThumb(){
+            if (!this.timelineThumbEl || this.scrubbing) return;
+            
+            const time = this.timelineTimes.get(this.visibleFirstId);
+            if (time === undefined) {
+                this.timelineThumbEl.style.display = 'none';
+                return;
+            }
+            
+            const [start, end] = this.getTimelineRange();
+            this.timelineThumbEl.style.display = '';
+            this.timelineThumbEl.style.top = `${((time - start) / (end - start)) * 100}%`;
+        },
+        
+        previewTimeline(clientY: number){
+            const rect = this.timelineTrackEl.getBoundingClientRect();
+            const fraction = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+            
+            const [start, end] = this.getTimelineRange();
+            const time = start + fraction * (end - start);
+            
+            this.timelineThumbEl.style.display = '';
+            this.timelineThumbEl.style.top = `${fraction * 100}%`;
+            this.timelineLabelEl.style.top = `${fraction * 100}%`;
+            this.timelineLabelEl.textContent = formatTimelineDate(time);
+            
+            return time;
+        },
+        
         hookEvents(){
             this.messageWrapperEl.addEventListener('scroll', this.handleChatWindowScroll);
+            
+            // Messages growing or shrinking (images loading, edits, embeds) shouldn't move what the user is reading
+            this.resizeObserver = new ResizeObserver((entries) => {
+                for (const entry of entries) {
+                    const el = entry.target as HTMLElement;
+                    if (el.isConnected) {
+                        this.measureMessage(el);
+                    }
+                }
+                
+                this.keepPosition();
+            });
+            
+            // Messages rewrap when the chat changes width, so the spacers' heights are measured again
+            this.chatWidth = this.messageWrapperEl.clientWidth;
+            this.widthObserver = new ResizeObserver(() => {
+                const width = this.messageWrapperEl.clientWidth;
+                if (width === this.chatWidth) return;
+                
+                this.chatWidth = width;
+                if (this.widthChangeTimer !== null) {
+                    clearTimeout(this.widthChangeTimer);
+                }
+                
+                this.widthChangeTimer = window.setTimeout(async () => {
+                    this.widthChangeTimer = null;
+                    await this.dotnet.invokeMethodAsync('OnChatWidthChanged');
+                }, 200);
+            });
+            this.widthObserver.observe(this.messageWrapperEl);
+            
+            // A message is read once most of it (or most of the view, for tall messages) has been on screen
+            this.readObserver = new IntersectionObserver((entries) => {
+                for (const entry of entries) {
+                    const el = entry.target as HTMLElement;
+                    const viewHeight = entry.rootBounds?.height ?? this.messageWrapperEl.clientHeight;
+                    const seen = entry.isIntersecting &&
+                        (entry.intersectionRatio >= 0.6 || entry.intersectionRect.height >= viewHeight * 0.6);
+                    
+                    if (seen) {
+                        this.readCandidates.add(el);
+                    } else {
+                        this.readCandidates.delete(el);
+                    }
+                }
+                
+                this.processReadCandidates();
+            }, { root: this.messageWrapperEl, threshold: [0, 0.25, 0.6, 1] });
+            
+            // Messages that were on screen while the tab was hidden are read once it comes back,
+            // and the scroll position is saved in case the tab is closed or reloaded while hidden
+            this.handleVisibilityChange = () => {
+                if (document.hidden) {
+                    this.saveScrollPosition();
+                } else {
+                    this.processReadCandidates();
+                }
+            };
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            
+            // Messages being added, removed or swapped for spacers by .NET
+            this.mutationObserver = new MutationObserver((mutations) => {
+                for (const mutation of mutations) {
+                    this.observeMessages(mutation.addedNodes);
+                    mutation.removedNodes.forEach((node) => {
+                        if (node instanceof HTMLElement) {
+                            this.resizeObserver.unobserve(node);
+                            this.readObserver.unobserve(node);
+                            this.readCandidates.delete(node);
+                        }
+                    });
+                }
+                
+                this.keepPosition();
+                this.updateRovingTabStop();
+            });
+            
+            this.observeMessages(this.messageWrapperEl.childNodes);
+            this.mutationObserver.observe(this.messageWrapperEl, { childList: true });
+            this.updateRovingTabStop();
+            
+            // Alt+Up/Down or j/k move between messages, and single keys act on the focused one
+            this.handleKeyDown = async (e: KeyboardEvent) => {
+                const target = e.target as HTMLElement;
+                if (isTextEntry(target)) return;
+                
+                const noModifiers = !e.ctrlKey && !e.metaKey && !e.altKey;
+                
+                if ((e.altKey && e.key === 'ArrowDown') || (noModifiers && e.key === 'j')) {
+                    e.preventDefault();
+                    this.moveFocus(1);
+                    return;
+                }
+                
+                if ((e.altKey && e.key === 'ArrowUp') || (noModifiers && e.key === 'k')) {
+                    e.preventDefault();
+                    this.moveFocus(-1);
+                    return;
+                }
+                
+                // Actions only apply to the message itself, not things inside it like links
+                if (!noModifiers || target.parentElement !== this.messageWrapperEl || !isMessageElement(target)) return;
+                
+                const action = messageKeyActions[e.key];
+                if (!action || getMessageId(target) === '0') return;
+                
+                e.preventDefault();
+                
+                // Pickers and menus open next to the message
+                const rect = target.getBoundingClientRect();
+                await this.dotnet.invokeMethodAsync('OnMessageKeyboardAction', getMessageId(target), action,
+                    rect.left + rect.width / 2, rect.top + Math.min(rect.height, 40) / 2);
+            };
+            
+            this.messageWrapperEl.addEventListener('keydown', this.handleKeyDown);
+            
+            this.buildTimeline();
         },
         
         cleanup(){
+            this.saveScrollPosition();
+            
             this.messageWrapperEl.removeEventListener('scroll', this.handleChatWindowScroll);
+            this.messageWrapperEl.removeEventListener('keydown', this.handleKeyDown);
+            this.resizeObserver?.disconnect();
+            this.widthObserver?.disconnect();
+            this.mutationObserver?.disconnect();
+            this.readObserver?.disconnect();
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            
+            if (this.visibleRangeTimer !== null) {
+                clearTimeout(this.visibleRangeTimer);
+                this.visibleRangeTimer = null;
+            }
+            
+            if (this.widthChangeTimer !== null) {
+                clearTimeout(this.widthChangeTimer);
+                this.widthChangeTimer = null;
+            }
+            
+            if (this.lastReadTimer !== null) {
+                clearTimeout(this.lastReadTimer);
+                this.lastReadTimer = null;
+            }
         }
     };
 
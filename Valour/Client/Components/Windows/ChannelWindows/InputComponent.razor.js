@@ -50,6 +50,11 @@ function getElementText(el) {
             // Replace non-breaking spaces (U+00A0) with regular spaces
             // Browsers insert &nbsp; in contenteditable to prevent whitespace collapsing
             return (el.nodeValue || '').replace(/\u00A0/g, ' ');
+        case Node.DOCUMENT_FRAGMENT_NODE:
+            for (const child of el.childNodes) {
+                text += getElementText(child);
+            }
+            break;
         case Node.ELEMENT_NODE: {
             const element = el;
             const tagName = element.tagName.toLowerCase();
@@ -75,28 +80,52 @@ function getElementText(el) {
     }
     return text;
 }
-function isMentionWord(word) {
+function isMentionWord(word, inputEl) {
     if (!word) {
         return false;
     }
     if (word[0] === ':') {
         return word.length > 1;
     }
+    if (word[0] === '/') {
+        return isFirstWord(word, inputEl);
+    }
     return word[0] === '@' || word[0] === '#';
 }
+/**
+ * Whether the word at the caret starts the message. Slash commands only count there,
+ * the same as validateCommand.
+ */
+function isFirstWord(word, inputEl) {
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount)
+        return false;
+    const caret = sel.getRangeAt(0);
+    const before = document.createRange();
+    before.setStart(inputEl, 0);
+    before.setEnd(caret.startContainer, caret.startOffset);
+    return before.toString().trimStart() === word;
+}
+/**
+ * Inserts plain text at the caret and returns the first and last inserted nodes.
+ */
 function insertTextAtCursor(text) {
     const selection = window.getSelection();
     if (!selection || !selection.rangeCount)
-        return;
+        return null;
     const range = selection.getRangeAt(0);
-    const span = document.createElement("span");
-    span.textContent = text.replace(/\n/g, "\n");
+    const fragment = createTextFragment(text);
+    const first = fragment.firstChild;
+    const last = fragment.lastChild;
     range.deleteContents();
-    range.insertNode(span);
-    range.setStartAfter(span);
-    range.setEndAfter(span);
+    if (!first || !last)
+        return null;
+    range.insertNode(fragment);
+    range.setStartAfter(last);
+    range.setEndAfter(last);
     selection.removeAllRanges();
     selection.addRange(range);
+    return { first, last };
 }
 function findTextNodeAndOffset(node, offset) {
     if (node.nodeType === Node.TEXT_NODE) {
@@ -128,13 +157,606 @@ function findTextNodeAndOffset(node, offset) {
     }
     return null;
 }
-export function init(dotnet, inputEl) {
+/**
+ * Markdown markers that wrap the selection for each composer format.
+ */
+const formatMarkers = {
+    bold: { open: '**', close: '**' },
+    italic: { open: '*', close: '*' },
+    underline: { open: '++', close: '++' },
+    strikethrough: { open: '~~', close: '~~' },
+    spoiler: { open: '||', close: '||' },
+    code: { open: '`', close: '`' },
+    codeblock: { open: '```\n', close: '\n```' },
+};
+/**
+ * Formats applied when the key is pressed with Ctrl (or Cmd on macOS) held.
+ */
+const formatShortcuts = {
+    KeyB: 'bold',
+    KeyI: 'italic',
+    KeyU: 'underline',
+    KeyE: 'code',
+    KeyK: 'link',
+};
+const urlPattern = /^https?:\/\/\S+$/i;
+/**
+ * Builds nodes for plain text, using <br> for line breaks so getElementText reads it back unchanged.
+ */
+function createTextFragment(text) {
+    const fragment = document.createDocumentFragment();
+    text.split('\n').forEach((line, i) => {
+        if (i > 0)
+            fragment.appendChild(document.createElement('br'));
+        if (line.length > 0)
+            fragment.appendChild(document.createTextNode(line));
+    });
+    return fragment;
+}
+/**
+ * Builds the non-editable span that stands in for a token, showing its cover text instead.
+ */
+function createMagicElement(text, coverText, classList, styleList) {
+    const cont = document.createElement('span');
+    cont.appendChild(document.createTextNode(text));
+    const classes = classList ? classList.split(' ') : [];
+    classes.push('input-magic');
+    cont.classList.add(...classes);
+    if (styleList)
+        cont.setAttribute('style', styleList);
+    cont.contentEditable = 'false';
+    cont.setAttribute('data-before', coverText);
+    return cont;
+}
+function createCustomEmojiImage(token, src, tooltip) {
+    const img = document.createElement('img');
+    img.src = src;
+    img.setAttribute('data-text', token);
+    img.alt = tooltip;
+    img.title = tooltip;
+    img.setAttribute('aria-label', tooltip);
+    img.classList.add('emoji', 'custom-emoji');
+    img.style.width = '1em';
+    return img;
+}
+const editTokenPattern = /«(?:@[murc]-\d{1,20}|e-:[a-z0-9_]{2,32}:~\d{1,20})»/g;
+/**
+ * Rebuilds message markdown as input content, turning resolved tokens back into
+ * the elements they were inserted as. Unresolved tokens are left as plain text.
+ */
+function buildEditFragment(content, tokens) {
+    const fragment = document.createDocumentFragment();
+    const byToken = new Map(tokens.map(t => [t.token, t]));
+    let last = 0;
+    for (const match of content.matchAll(editTokenPattern)) {
+        const token = byToken.get(match[0]);
+        if (!token)
+            continue;
+        fragment.appendChild(createTextFragment(content.substring(last, match.index)));
+        fragment.appendChild(token.src
+            ? createCustomEmojiImage(token.token, token.src, token.tooltip || token.token)
+            : createMagicElement(token.token, token.coverText ?? '', token.classList ?? '', token.styleList ?? ''));
+        last = match.index + match[0].length;
+    }
+    fragment.appendChild(createTextFragment(content.substring(last)));
+    return fragment;
+}
+/**
+ * Builds the placeholder chip for a slash command argument. It has no text of its own,
+ * so an argument that was never filled in adds nothing to the message.
+ */
+function createArgumentChip(arg) {
+    const placeholder = arg.optional ? `[${arg.name}]` : `<${arg.name}>`;
+    const chip = createMagicElement('', placeholder, arg.optional ? 'command-arg optional' : 'command-arg', '');
+    chip.dataset.arg = arg.name;
+    chip.dataset.type = arg.type;
+    return chip;
+}
+/**
+ * Whether an Enter press (without Shift) should send, for an EnterKeyBehavior preference.
+ * Embedded clients always send on Enter, as their host provides no send button.
+ */
+function isSendKey(e, behavior) {
+    switch (behavior) {
+        case 'Enter':
+            return true;
+        case 'CtrlEnter':
+            return e.ctrlKey || e.metaKey;
+        case 'ButtonOnly':
+            return false;
+        default:
+            // Automatic: on-screen keyboards have no Shift+Enter habit, so Enter adds a line there
+            return e.ctrlKey || e.metaKey || window["embedded"] || !window["usingVirtualKeyboard"]?.();
+    }
+}
+function selectNode(sel, node) {
+    const range = document.createRange();
+    range.selectNode(node);
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+function countRun(text, char, from, step) {
+    let count = 0;
+    for (let i = from; i >= 0 && i < text.length && text[i] === char; i += step) {
+        count++;
+    }
+    return count;
+}
+/**
+ * Removes the markers around (or at the edges of) a selection inside a single text node.
+ * Returns false if the selection is not already formatted with the marker.
+ */
+function unwrapSelection(sel, range, marker) {
+    if (range.collapsed || range.startContainer !== range.endContainer || range.startContainer.nodeType !== Node.TEXT_NODE)
+        return false;
+    const node = range.startContainer;
+    const text = node.data;
+    let start = range.startOffset;
+    let end = range.endOffset;
+    const selected = text.substring(start, end);
+    const markersInside = selected.length >= marker.open.length + marker.close.length
+        && selected.startsWith(marker.open)
+        && selected.endsWith(marker.close);
+    if (markersInside) {
+        start += marker.open.length;
+        end -= marker.close.length;
+    }
+    else if (text.substring(start - marker.open.length, start) !== marker.open
+        || text.substring(end, end + marker.close.length) !== marker.close) {
+        return false;
+    }
+    // Italic shares its marker with bold; only unwrap when the asterisk runs are odd (*x* or ***x***)
+    if (marker.open === '*' && (countRun(text, '*', start - 1, -1) % 2 === 0 || countRun(text, '*', end, 1) % 2 === 0))
+        return false;
+    node.deleteData(end, marker.close.length);
+    node.deleteData(start - marker.open.length, marker.open.length);
+    const newRange = document.createRange();
+    newRange.setStart(node, start - marker.open.length);
+    newRange.setEnd(node, end - marker.open.length);
+    sel.removeAllRanges();
+    sel.addRange(newRange);
+    return true;
+}
+/**
+ * Wraps the selection in the given markers, keeping mentions and emoji inside it intact.
+ * The wrapped content stays selected; an empty selection leaves the caret between the markers.
+ * Returns the last node of the closing marker.
+ */
+function wrapSelection(sel, range, marker) {
+    const contents = range.extractContents();
+    const open = createTextFragment(marker.open);
+    const close = createTextFragment(marker.close);
+    const openEnd = open.lastChild;
+    const closeStart = close.firstChild;
+    const closeEnd = close.lastChild;
+    const fragment = document.createDocumentFragment();
+    fragment.append(open, contents, close);
+    range.insertNode(fragment);
+    const newRange = document.createRange();
+    newRange.setStartAfter(openEnd);
+    newRange.setEndBefore(closeStart);
+    sel.removeAllRanges();
+    sel.addRange(newRange);
+    return closeEnd;
+}
+/**
+ * Turns the selection into a markdown link. A selected URL becomes the link target and the caret
+ * is placed in the label; any other selection becomes the label and the placeholder URL is selected.
+ */
+function wrapSelectionAsLink(sel, range) {
+    const selectedText = getElementText(range.cloneContents()).trim();
+    const newRange = document.createRange();
+    if (urlPattern.test(selectedText)) {
+        range.deleteContents();
+        const open = document.createTextNode('[');
+        const rest = document.createTextNode(`](${selectedText})`);
+        range.insertNode(rest);
+        range.insertNode(open);
+        newRange.setStartAfter(open);
+        newRange.collapse(true);
+    }
+    else {
+        const contents = range.extractContents();
+        const url = document.createTextNode('https://');
+        const fragment = document.createDocumentFragment();
+        fragment.append(document.createTextNode('['), contents, document.createTextNode(']('), url, document.createTextNode(')'));
+        range.insertNode(fragment);
+        newRange.selectNodeContents(url);
+    }
+    sel.removeAllRanges();
+    sel.addRange(newRange);
+}
+/**
+ * Applies a composer format to the current selection in the input.
+ * Returns false if there is no selection inside the input or the format is unknown.
+ */
+function applyFormatToSelection(inputEl, format) {
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount)
+        return false;
+    const range = sel.getRangeAt(0);
+    if (!inputEl.contains(range.commonAncestorContainer))
+        return false;
+    if (format === 'link') {
+        wrapSelectionAsLink(sel, range);
+        return true;
+    }
+    const marker = formatMarkers[format];
+    if (!marker)
+        return false;
+    if (!unwrapSelection(sel, range, marker)) {
+        wrapSelection(sel, range, marker);
+    }
+    return true;
+}
+/**
+ * Query parameters that only exist to track the person who shared a link.
+ */
+const trackingParams = new Set([
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+    'igshid', 'igsh', 'si', 'ref_src', 'ref_url', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id',
+]);
+const trackingParamPrefixes = ['utm_', 'mc_', '_hs', 'pk_'];
+const urlInTextPattern = /https?:\/\/[^\s<>()]+/g;
+/**
+ * Elements that make pasted HTML worth converting instead of using the plain text.
+ */
+const richPasteSelector = 'b, strong, i, em, u, ins, s, strike, del, a[href], ul, ol, pre, code, table, h1, h2, h3, h4, h5, h6, blockquote';
+function stripTrackingParams(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    }
+    catch {
+        return url;
+    }
+    const tracked = [...parsed.searchParams.keys()].filter(key => {
+        const lower = key.toLowerCase();
+        return trackingParams.has(lower) || trackingParamPrefixes.some(prefix => lower.startsWith(prefix));
+    });
+    // Leave untouched URLs exactly as pasted
+    if (tracked.length === 0)
+        return url;
+    tracked.forEach(key => parsed.searchParams.delete(key));
+    return parsed.toString();
+}
+function stripTrackingFromText(text) {
+    return text.replace(urlInTextPattern, stripTrackingParams);
+}
+/**
+ * Wraps inline markdown around content, keeping surrounding whitespace outside the markers.
+ */
+function wrapInline(marker, content) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match || match[2].length === 0)
+        return content;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+function getCodeLanguage(el) {
+    const classes = [...el.classList, ...(el.querySelector('code')?.classList ?? [])];
+    for (const name of classes) {
+        const match = name.match(/^(?:language|lang)-(.+)$/);
+        if (match)
+            return match[1];
+    }
+    return '';
+}
+function tableToMarkdown(table) {
+    const rows = [...table.rows].map(row => [...row.cells].map(cell => inlineChildrenToMarkdown(cell).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()));
+    if (rows.length === 0)
+        return '';
+    const width = Math.max(...rows.map(row => row.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+    return [
+        line(rows[0]),
+        line(Array(width).fill('---')),
+        ...rows.slice(1).map(line),
+    ].join('\n');
+}
+function listToMarkdown(list) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = ordered ? Number(list.start || 1) : 0;
+    return [...list.children]
+        .filter(child => child.tagName.toLowerCase() === 'li')
+        .map(item => {
+        const prefix = ordered ? `${number++}. ` : '- ';
+        const indent = ' '.repeat(prefix.length);
+        const content = nodeToMarkdown(item).trim().replace(/\n{2,}/g, '\n');
+        return prefix + content.split('\n').join('\n' + indent);
+    })
+        .join('\n');
+}
+function inlineChildrenToMarkdown(el) {
+    let text = '';
+    for (const child of el.childNodes) {
+        text += nodeToMarkdown(child);
+    }
+    return text;
+}
+/**
+ * Converts a pasted HTML node into equivalent Valour markdown.
+ */
+function nodeToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return (node.nodeValue || '').replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE)
+        return '';
+    const el = node;
+    const tagName = el.tagName.toLowerCase();
+    const inner = () => inlineChildrenToMarkdown(el);
+    switch (tagName) {
+        case 'script':
+        case 'style':
+        case 'head':
+        case 'meta':
+        case 'img':
+            return '';
+        case 'br':
+            return '\n';
+        case 'b':
+        case 'strong':
+            // Google Docs wraps whole documents in <b style="font-weight:normal">
+            if (/^(normal|[1-5]00)$/.test(el.style.fontWeight))
+                return inner();
+            return wrapInline('**', inner());
+        case 'i':
+        case 'em':
+            return wrapInline('*', inner());
+        case 'u':
+        case 'ins':
+            return wrapInline('++', inner());
+        case 's':
+        case 'strike':
+        case 'del':
+            return wrapInline('~~', inner());
+        case 'code':
+            return wrapInline('`', el.textContent || '');
+        case 'pre':
+            return `\n\n\`\`\`${getCodeLanguage(el)}\n${(el.textContent || '').replace(/\n$/, '')}\n\`\`\`\n\n`;
+        case 'a': {
+            const label = inner().trim();
+            const href = el.getAttribute('href') || '';
+            if (!/^https?:\/\//i.test(href))
+                return label;
+            const url = stripTrackingParams(href);
+            if (!label || label === href || label === url)
+                return url;
+            return `[${label}](${url})`;
+        }
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+            return `\n\n${'#'.repeat(Number(tagName[1]))} ${inner().trim()}\n\n`;
+        case 'blockquote':
+            return `\n\n${inner().trim().split('\n').map(line => '> ' + line).join('\n')}\n\n`;
+        case 'ul':
+        case 'ol':
+            return `\n\n${listToMarkdown(el)}\n\n`;
+        case 'table':
+            return `\n\n${tableToMarkdown(el)}\n\n`;
+        case 'span': {
+            // Word processors express formatting through inline styles
+            let text = inner();
+            if (el.style.fontWeight === 'bold' || Number(el.style.fontWeight) >= 600)
+                text = wrapInline('**', text);
+            if (el.style.fontStyle === 'italic')
+                text = wrapInline('*', text);
+            if (el.style.textDecoration.includes('line-through'))
+                text = wrapInline('~~', text);
+            return text;
+        }
+        default:
+            if (blockLevelElements.has(tagName) || tagName === 'li' || tagName === 'tr') {
+                return `\n${inner()}\n`;
+            }
+            return inner();
+    }
+}
+/**
+ * Converts pasted HTML to markdown, or returns null if it has no formatting worth keeping.
+ */
+function htmlToMarkdown(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    if (!doc.body.querySelector(richPasteSelector))
+        return null;
+    return nodeToMarkdown(doc.body)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+/**
+ * Language guesses for pasted code, checked in order. The first match wins.
+ */
+const codeLanguagePatterns = [
+    ['csharp', /\b(namespace [\w.]+|using System|public (sealed |static |async )*(class|record|interface)|\[JsonPropertyName)\b/],
+    ['typescript', /\b(interface \w+ \{|type \w+ = |: (string|number|boolean)\b|import .+ from ['"])/],
+    ['javascript', /\b(const|let) \w+ = |function \w*\(|=> \{|require\(['"]|module\.exports/],
+    ['python', /^\s*(def \w+\(.*\)|class \w+(\(.*\))?):\s*$|^\s*(from \w+ )?import \w+\s*$/m],
+    ['rust', /\bfn \w+\(|\blet mut \w+|impl\b.* \{/],
+    ['go', /\bfunc (\(\w+ \*?\w+\) )?\w+\(|^package \w+$/m],
+    ['java', /\bpublic static void main\(|System\.out\.print/],
+    ['cpp', /^#include\s*[<"]/m],
+    ['sql', /\b(SELECT [\s\S]+ FROM|INSERT INTO|UPDATE \w+ SET|DELETE FROM|CREATE TABLE)\b/i],
+    ['html', /^\s*<(!DOCTYPE|html|div|span|p|head|body|script)\b/i],
+    ['css', /[\w.#:\-\[\]="]+\s*\{\s*[\w-]+\s*:[^;]+;/],
+    ['bash', /^\s*(\$ |sudo |npm |yarn |git |cd |ls |echo |export \w+=)/m],
+];
+/**
+ * Guesses whether pasted plain text is multi-line code. Returns the language ('' if unknown),
+ * or null if the text does not look like code.
+ */
+function detectCodeLanguage(text) {
+    const lines = text.split('\n').filter(line => line.trim().length > 0);
+    if (lines.length < 2 || text.includes('```'))
+        return null;
+    const trimmed = text.trim();
+    if (/^[\[{]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        }
+        catch {
+            // Not JSON, keep guessing
+        }
+    }
+    const codeLike = lines.filter(line => /^(\t| {2,})\S/.test(line)
+        || /[;{}()\[\]]\s*$/.test(line)
+        || /^\s*(\/\/|#|\/\*|\*|<\/?\w)/.test(line)).length;
+    if (codeLike / lines.length < 0.5)
+        return null;
+    for (const [language, pattern] of codeLanguagePatterns) {
+        if (pattern.test(text))
+            return language;
+    }
+    return '';
+}
+/**
+ * Finds the first image in the clipboard, including screenshots that are only exposed as items.
+ */
+function getPastedImage(data) {
+    for (const item of data.items) {
+        if (item.kind === 'file' && item.type.startsWith('image/')) {
+            const file = item.getAsFile();
+            if (file)
+                return file;
+        }
+    }
+    return null;
+}
+/**
+ * Max number of snapshots kept in each direction of the composer history.
+ */
+const maxHistorySize = 100;
+/**
+ * Consecutive edits of the same kind within this window are undone together.
+ */
+const historyGroupMs = 1000;
+/**
+ * Gets the child index path from the root to a node, or null if the node is outside the root.
+ */
+function getNodePath(root, node) {
+    const path = [];
+    let current = node;
+    while (current !== root) {
+        const parent = current.parentNode;
+        if (!parent)
+            return null;
+        path.unshift(Array.prototype.indexOf.call(parent.childNodes, current));
+        current = parent;
+    }
+    return path;
+}
+function resolveNodePath(root, path) {
+    let current = root;
+    for (const index of path) {
+        current = current?.childNodes[index] ?? null;
+    }
+    return current;
+}
+/**
+ * Captures the content and selection of the input. Mention spans and emoji images are kept
+ * as markup, so restoring the snapshot brings them back exactly.
+ */
+function takeSnapshot(inputEl) {
+    let start = null;
+    let end = null;
+    const sel = window.getSelection();
+    if (sel && sel.rangeCount) {
+        const range = sel.getRangeAt(0);
+        const startPath = getNodePath(inputEl, range.startContainer);
+        const endPath = getNodePath(inputEl, range.endContainer);
+        if (startPath && endPath) {
+            start = { path: startPath, offset: range.startOffset };
+            end = { path: endPath, offset: range.endOffset };
+        }
+    }
+    return { html: inputEl.innerHTML, start, end };
+}
+function applySnapshot(inputEl, snapshot) {
+    inputEl.innerHTML = snapshot.html;
+    const range = document.createRange();
+    const startNode = snapshot.start ? resolveNodePath(inputEl, snapshot.start.path) : null;
+    const endNode = snapshot.end ? resolveNodePath(inputEl, snapshot.end.path) : null;
+    if (startNode && endNode) {
+        const nodeLength = (node) => node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length;
+        range.setStart(startNode, Math.min(snapshot.start.offset, nodeLength(startNode)));
+        range.setEnd(endNode, Math.min(snapshot.end.offset, nodeLength(endNode)));
+    }
+    else {
+        range.selectNodeContents(inputEl);
+        range.collapse(false);
+    }
+    const sel = window.getSelection();
+    sel?.removeAllRanges();
+    sel?.addRange(range);
+}
+const draftDbName = 'valour-composer';
+const draftStoreName = 'drafts';
+let draftDbPromise = null;
+let draftsPruned = false;
+function openDraftDb() {
+    if (draftDbPromise)
+        return draftDbPromise;
+    draftDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(draftDbName, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(draftStoreName, { keyPath: 'channelId' });
+            store.createIndex('savedAt', 'savedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if the database could not be opened
+    draftDbPromise.catch(() => draftDbPromise = null);
+    return draftDbPromise;
+}
+async function draftRequest(mode, action) {
+    const db = await openDraftDb();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(draftStoreName, mode).objectStore(draftStoreName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+/**
+ * Deletes every draft older than the max age, across all channels.
+ */
+async function pruneDrafts(maxAgeMs) {
+    const db = await openDraftDb();
+    const store = db.transaction(draftStoreName, 'readwrite').objectStore(draftStoreName);
+    const request = store.index('savedAt').openCursor(IDBKeyRange.upperBound(Date.now() - maxAgeMs));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+}
+export function init(dotnet, inputEl, toolbarEl = null, draftOptions = null, enterBehavior = 'Automatic') {
     const ctx = {
         dotnet,
         inputEl,
+        toolbarEl,
         currentWord: '',
         currentIndex: 0,
         lastRange: null,
+        history: {
+            undoStack: [],
+            redoStack: [],
+            lastKind: null,
+            lastTime: 0,
+        },
+        draftOptions,
+        draftsPaused: false,
+        draftObserver: null,
+        pendingCodePaste: null,
+        editing: false,
+        enterBehavior,
         getCursorPos: () => {
             const sel = window.getSelection();
             if (sel && sel.rangeCount) {
@@ -175,7 +797,12 @@ export function init(dotnet, inputEl) {
             ctx.inputEl.innerText = content;
         },
         submitMessage: async (keepOpen = false) => {
+            if (!ctx.editing && !await ctx.validateCommand())
+                return;
             ctx.inputEl.innerHTML = '';
+            if (!ctx.draftsPaused)
+                ctx.clearDraft();
+            ctx.resetHistory();
             await ctx.dotnet.invokeMethodAsync('OnChatboxSubmit');
             await ctx.dotnet.invokeMethodAsync('OnCaretUpdate', '');
             if (keepOpen)
@@ -193,11 +820,229 @@ export function init(dotnet, inputEl) {
                 this.focus();
             }, 50);
         },
+        beginEdit: (content, tokens) => {
+            // Set the channel draft aside while the input holds the edited message
+            ctx.draftsPaused = true;
+            ctx.editing = true;
+            ctx.pendingCodePaste = null;
+            ctx.inputEl.replaceChildren(buildEditFragment(content ?? '', tokens ?? []));
+            ctx.resetHistory();
+        },
+        endEdit: async () => {
+            ctx.editing = false;
+            ctx.inputEl.innerHTML = '';
+            ctx.resetHistory();
+            await ctx.setDraftsPaused(false);
+        },
+        resetHistory: () => {
+            ctx.history.undoStack = [];
+            ctx.history.redoStack = [];
+            ctx.history.lastKind = null;
+        },
+        setEnterBehavior: (behavior) => {
+            ctx.enterBehavior = behavior;
+        },
+        insertCommand: async (name, args) => {
+            if (document.activeElement !== ctx.inputEl)
+                ctx.focus();
+            const sel = window.getSelection();
+            if (!sel || !sel.rangeCount)
+                return;
+            ctx.recordHistory();
+            // Replace the typed /word with the full command
+            const range = sel.getRangeAt(0);
+            const word = ctx.getCurrentWord(0);
+            const caret = findTextNodeAndOffset(range.endContainer, range.endOffset);
+            if (caret && word) {
+                range.setStart(caret.node, Math.max(0, caret.offset - word.length));
+                range.setEnd(caret.node, caret.offset);
+            }
+            range.deleteContents();
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(document.createTextNode(`/${name} `));
+            args.forEach((arg, i) => {
+                if (i > 0)
+                    fragment.appendChild(document.createTextNode(' '));
+                fragment.appendChild(createArgumentChip(arg));
+            });
+            const last = fragment.lastChild;
+            range.insertNode(fragment);
+            range.setStartAfter(last);
+            range.collapse(true);
+            sel.removeAllRanges();
+            sel.addRange(range);
+            // Start on the first argument, if there is one
+            const first = ctx.inputEl.querySelector('.command-arg');
+            if (first)
+                selectNode(sel, first);
+            ctx.currentWord = '';
+            await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), '');
+        },
+        selectArgument: (backwards = false) => {
+            const sel = window.getSelection();
+            if (!sel || !sel.rangeCount)
+                return;
+            // comparePoint is 0 for the chip that is currently selected, so it is skipped either way
+            const range = sel.getRangeAt(0);
+            const chips = Array.from(ctx.inputEl.querySelectorAll('.command-arg'));
+            const target = backwards
+                ? chips.reverse().find(chip => range.comparePoint(chip, 0) < 0)
+                : chips.find(chip => range.comparePoint(chip, 0) > 0);
+            if (target) {
+                selectNode(sel, target);
+            }
+            else if (!backwards) {
+                // Past the last argument, continue typing at the end
+                ctx.moveCursorToEnd();
+            }
+        },
+        validateCommand: async () => {
+            const text = getElementText(ctx.inputEl);
+            if (!text.trimStart().startsWith('/'))
+                return true;
+            const missing = Array.from(ctx.inputEl.querySelectorAll('.command-arg:not(.optional)'));
+            const valid = await ctx.dotnet.invokeMethodAsync('ValidateCommand', safeForInterop(text), missing.map(chip => chip.dataset.arg ?? ''));
+            const sel = window.getSelection();
+            if (!valid && missing.length && sel) {
+                selectNode(sel, missing[0]);
+            }
+            return valid;
+        },
+        recordHistory: (kind) => {
+            const history = ctx.history;
+            const now = Date.now();
+            // Group runs of typing or deleting into a single undo step
+            const grouped = kind && kind === history.lastKind && (now - history.lastTime) < historyGroupMs;
+            history.lastKind = kind ?? null;
+            history.lastTime = now;
+            if (grouped)
+                return;
+            history.undoStack.push(takeSnapshot(ctx.inputEl));
+            if (history.undoStack.length > maxHistorySize)
+                history.undoStack.shift();
+            history.redoStack = [];
+        },
+        restoreSnapshot: async (snapshot) => {
+            applySnapshot(ctx.inputEl, snapshot);
+            ctx.history.lastKind = null;
+            ctx.currentWord = ctx.getCurrentWord(0);
+            await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), safeForInterop(ctx.currentWord));
+        },
+        undo: async () => {
+            const snapshot = ctx.history.undoStack.pop();
+            if (!snapshot)
+                return;
+            ctx.history.redoStack.push(takeSnapshot(ctx.inputEl));
+            await ctx.restoreSnapshot(snapshot);
+        },
+        redo: async () => {
+            const snapshot = ctx.history.redoStack.pop();
+            if (!snapshot)
+                return;
+            ctx.history.undoStack.push(takeSnapshot(ctx.inputEl));
+            await ctx.restoreSnapshot(snapshot);
+        },
+        saveDraft: debounce(async () => {
+            const options = ctx.draftOptions;
+            if (!options || ctx.draftsPaused)
+                return;
+            try {
+                if (getElementText(ctx.inputEl).trim().length === 0) {
+                    await ctx.clearDraft();
+                    return;
+                }
+                const draft = {
+                    ...takeSnapshot(ctx.inputEl),
+                    channelId: options.channelId,
+                    savedAt: Date.now(),
+                };
+                await draftRequest('readwrite', store => store.put(draft));
+            }
+            catch (err) {
+                console.warn('Failed to save composer draft', err);
+            }
+        }, 500),
+        restoreDraft: async () => {
+            const options = ctx.draftOptions;
+            if (!options)
+                return false;
+            try {
+                if (!draftsPruned) {
+                    draftsPruned = true;
+                    await pruneDrafts(options.maxAgeMs);
+                }
+                const draft = await draftRequest('readonly', store => store.get(options.channelId));
+                if (!draft)
+                    return false;
+                if (Date.now() - draft.savedAt > options.maxAgeMs) {
+                    await ctx.clearDraft();
+                    return false;
+                }
+                await ctx.restoreSnapshot(draft);
+                return true;
+            }
+            catch (err) {
+                console.warn('Failed to restore composer draft', err);
+                return false;
+            }
+        },
+        clearDraft: async () => {
+            const options = ctx.draftOptions;
+            if (!options)
+                return;
+            try {
+                await draftRequest('readwrite', store => store.delete(options.channelId));
+            }
+            catch (err) {
+                console.warn('Failed to clear composer draft', err);
+            }
+        },
+        setDraftsPaused: async (paused) => {
+            if (paused) {
+                ctx.draftsPaused = true;
+                return;
+            }
+            // Bring back the draft that was set aside, then resume saving
+            if (ctx.draftsPaused) {
+                await ctx.restoreDraft();
+            }
+            ctx.draftsPaused = false;
+        },
+        applyFormat: async (format) => {
+            const sel = window.getSelection();
+            if (!sel || !sel.rangeCount || !ctx.inputEl.contains(sel.getRangeAt(0).commonAncestorContainer))
+                return;
+            ctx.recordHistory();
+            if (!applyFormatToSelection(ctx.inputEl, format))
+                return;
+            ctx.updateFormatToolbar();
+            ctx.currentWord = ctx.getCurrentWord(0);
+            await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), safeForInterop(ctx.currentWord));
+        },
+        updateFormatToolbar: () => {
+            const toolbar = ctx.toolbarEl;
+            if (!toolbar)
+                return;
+            const sel = window.getSelection();
+            if (!sel || !sel.rangeCount || sel.isCollapsed || !ctx.inputEl.contains(sel.anchorNode)) {
+                toolbar.classList.remove('visible');
+                return;
+            }
+            // Must be visible before measuring, otherwise it has no size or offset parent
+            toolbar.classList.add('visible');
+            const rect = sel.getRangeAt(0).getBoundingClientRect();
+            const parentRect = (toolbar.offsetParent ?? document.body).getBoundingClientRect();
+            const left = rect.left + (rect.width / 2) - parentRect.left - (toolbar.offsetWidth / 2);
+            const maxLeft = parentRect.width - toolbar.offsetWidth;
+            toolbar.style.left = `${Math.max(0, Math.min(left, maxLeft))}px`;
+            toolbar.style.top = `${rect.top - parentRect.top - toolbar.offsetHeight - 8}px`;
+        },
         injectElement: (text, coverText, classList, styleList, deleteCurrentWord = true) => {
             if (document.activeElement !== ctx.inputEl)
                 ctx.focus();
             const sel = window.getSelection();
             if (sel && sel.rangeCount > 0) {
+                ctx.recordHistory();
                 let caretRange = sel.getRangeAt(0);
                 let endContainer = caretRange.endContainer;
                 let endOffset = caretRange.endOffset;
@@ -222,16 +1067,7 @@ export function init(dotnet, inputEl) {
                     range.deleteContents();
                     endOffset = startOffset;
                 }
-                const node = document.createTextNode(text);
-                const cont = document.createElement('span');
-                cont.appendChild(node);
-                const classes = classList ? classList.split(' ') : [];
-                classes.push('input-magic');
-                cont.classList.add(...classes);
-                if (styleList)
-                    cont.setAttribute('style', styleList);
-                cont.contentEditable = 'false';
-                cont.setAttribute('data-before', coverText);
+                const cont = createMagicElement(text, coverText, classList, styleList);
                 range.insertNode(cont);
                 range.setStartAfter(cont);
                 range.collapse(true);
@@ -268,6 +1104,7 @@ export function init(dotnet, inputEl) {
                     return;
                 }
             }
+            ctx.recordHistory();
             if (deleteCurrentWord) {
                 let endContainer = range.endContainer;
                 let endOffset = range.endOffset;
@@ -294,31 +1131,26 @@ export function init(dotnet, inputEl) {
             else {
                 range.deleteContents();
             }
-            const img = document.createElement('img');
+            let img;
             if (isCustom) {
                 const token = customToken || (text ? `:${text}:` : '');
                 const src = customSrc || '';
-                const tooltip = shortcodes || token;
                 if (!src) {
                     return;
                 }
-                img.src = src;
-                img.setAttribute('data-text', token);
-                img.alt = tooltip;
-                img.title = tooltip;
-                img.setAttribute('aria-label', tooltip);
-                img.classList.add('custom-emoji');
+                img = createCustomEmojiImage(token, src, shortcodes || token);
             }
             else {
                 const tooltip = shortcodes || native;
+                img = document.createElement('img');
                 img.src = `https://cdn.jsdelivr.net/npm/emoji-datasource-twitter@14.0.0/img/twitter/64/${unified}.png`;
                 img.setAttribute('data-text', native);
                 img.alt = tooltip;
                 img.title = tooltip;
                 img.setAttribute('aria-label', tooltip);
+                img.classList.add('emoji');
+                img.style.width = '1em';
             }
-            img.classList.add('emoji');
-            img.style.width = '1em';
             range.insertNode(img);
             if (appendSpace) {
                 const spacer = document.createTextNode(' ');
@@ -334,17 +1166,36 @@ export function init(dotnet, inputEl) {
             await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), safeForInterop(ctx.currentWord));
         },
         keyDownHandler: async (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+                if (e.code === 'KeyZ' || e.code === 'KeyY') {
+                    e.preventDefault();
+                    if (e.code === 'KeyZ' && !e.shiftKey) {
+                        await ctx.undo();
+                    }
+                    else {
+                        await ctx.redo();
+                    }
+                    return;
+                }
+            }
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && formatShortcuts[e.code]) {
+                e.preventDefault();
+                await ctx.applyFormat(formatShortcuts[e.code]);
+                return;
+            }
             ctx.currentWord = ctx.getCurrentWord(0);
             ctx.currentIndex = ctx.getCursorPos();
             switch (e.code) {
                 case "ArrowDown":
                 case "ArrowUp":
-                    if (isMentionWord(ctx.currentWord)) {
+                    if (isMentionWord(ctx.currentWord, ctx.inputEl)) {
                         e.preventDefault();
                         await ctx.dotnet.invokeMethodAsync('MoveMentionSelect', e.code === "ArrowDown" ? 1 : -1);
                     }
                     else {
-                        if (e.code === "ArrowUp") {
+                        // Only an empty composer jumps to editing the last message
+                        if (e.code === "ArrowUp" && !ctx.editing && getElementText(ctx.inputEl).trim().length === 0) {
+                            e.preventDefault();
                             await ctx.dotnet.invokeMethodAsync('OnUpArrowNonMention');
                         }
                         await this.caretMoveHandler();
@@ -357,29 +1208,37 @@ export function init(dotnet, inputEl) {
                 case "Enter":
                     if (e.shiftKey)
                         break;
-                    if (isMentionWord(ctx.currentWord)) {
+                    if (isMentionWord(ctx.currentWord, ctx.inputEl)) {
                         e.preventDefault();
                         const handled = await ctx.dotnet.invokeMethodAsync('MentionSubmit');
                         if (!handled) {
-                            if (window["mobile"] && !window["embedded"])
+                            if (!isSendKey(e, ctx.enterBehavior))
                                 break;
-                            await ctx.submitMessage();
+                            await ctx.submitMessage(ctx.editing);
                         }
                     }
                     else {
-                        if (window["mobile"] && !window["embedded"])
+                        if (!isSendKey(e, ctx.enterBehavior))
                             break;
                         e.preventDefault();
-                        await ctx.submitMessage();
+                        // While editing, submitting saves the edit and keeps the composer focused
+                        await ctx.submitMessage(ctx.editing);
                     }
                     break;
                 case "Tab":
-                    if (isMentionWord(ctx.currentWord)) {
+                    if (isMentionWord(ctx.currentWord, ctx.inputEl)) {
                         e.preventDefault();
                         await ctx.dotnet.invokeMethodAsync('MentionSubmit');
                     }
+                    else if (ctx.inputEl.querySelector('.command-arg')) {
+                        // Jump between slash command arguments
+                        e.preventDefault();
+                        ctx.selectArgument(e.shiftKey);
+                    }
                     break;
                 case "Escape":
+                    if (ctx.editing)
+                        e.preventDefault();
                     await ctx.dotnet.invokeMethodAsync('OnEscape');
                     break;
             }
@@ -391,25 +1250,120 @@ export function init(dotnet, inputEl) {
         }, 50),
         pasteHandler: async (e) => {
             e.preventDefault();
-            const text = e.clipboardData?.getData('text/plain') ?? '';
-            insertTextAtCursor(text);
+            const data = e.clipboardData;
+            if (!data)
+                return;
+            const image = getPastedImage(data);
+            if (image) {
+                // Handled here, so the drop zone doesn't upload it a second time
+                e.stopPropagation();
+                ctx.uploadPastedFile(image);
+                return;
+            }
+            const html = data.getData('text/html');
+            const markdown = html ? htmlToMarkdown(html) : null;
+            const plain = data.getData('text/plain');
+            const language = markdown === null ? detectCodeLanguage(plain) : null;
+            // Code is pasted exactly as copied; URLs inside it are left alone
+            const text = markdown ?? (language === null ? stripTrackingFromText(plain) : plain);
+            ctx.recordHistory();
+            const inserted = insertTextAtCursor(text);
+            if (inserted && language !== null) {
+                ctx.pendingCodePaste = { ...inserted, language };
+                await ctx.dotnet.invokeMethodAsync('OnCodePasteDetected', language);
+            }
+            ctx.currentWord = ctx.getCurrentWord(0);
+            await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), safeForInterop(ctx.currentWord));
+        },
+        uploadPastedFile: (file) => {
+            // Same path as dropped files: put the file on the upload input and raise its change event
+            const uploadEl = ctx.inputEl.closest('.textbox')?.querySelector('input[type="file"]');
+            if (!uploadEl)
+                return;
+            const transfer = new DataTransfer();
+            transfer.items.add(file);
+            uploadEl.files = transfer.files;
+            uploadEl.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+        wrapPastedCode: async () => {
+            const pending = ctx.pendingCodePaste;
+            ctx.pendingCodePaste = null;
+            if (!pending || !ctx.inputEl.contains(pending.first) || !ctx.inputEl.contains(pending.last))
+                return;
+            const sel = window.getSelection();
+            if (!sel)
+                return;
+            const range = document.createRange();
+            range.setStartBefore(pending.first);
+            range.setEndAfter(pending.last);
+            ctx.recordHistory();
+            const blockEnd = wrapSelection(sel, range, { open: `\`\`\`${pending.language}\n`, close: '\n```' });
+            // Leave the caret after the block rather than selecting the code
+            const caret = document.createRange();
+            caret.setStartAfter(blockEnd);
+            caret.collapse(true);
+            sel.removeAllRanges();
+            sel.addRange(caret);
             ctx.currentWord = ctx.getCurrentWord(0);
             await ctx.dotnet.invokeMethodAsync('OnChatboxUpdate', safeForInterop(getElementText(ctx.inputEl)), safeForInterop(ctx.currentWord));
         },
+        dismissPastedCode: () => {
+            ctx.pendingCodePaste = null;
+        },
+        beforeInputHandler: (e) => {
+            // Native history does not know about injected nodes, so route it through ours
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') {
+                    ctx.undo();
+                }
+                else {
+                    ctx.redo();
+                }
+                return;
+            }
+            ctx.recordHistory(e.inputType.startsWith('delete') ? 'delete' : e.inputType);
+        },
         clickHandler: () => {
             ctx.caretMoveHandler();
         },
+        selectionChangeHandler: () => {
+            ctx.updateFormatToolbar();
+        },
+        toolbarMouseDownHandler: (e) => {
+            // Keep the selection in the input while the toolbar is clicked
+            e.preventDefault();
+            const button = e.target.closest('[data-format]');
+            if (button?.dataset.format) {
+                ctx.applyFormat(button.dataset.format);
+            }
+        },
         hookEvents: () => {
             ctx.inputEl.addEventListener('keydown', ctx.keyDownHandler);
             ctx.inputEl.addEventListener('click', ctx.clickHandler);
             ctx.inputEl.addEventListener('paste', ctx.pasteHandler);
             ctx.inputEl.addEventListener('input', ctx.inputHandler);
+            ctx.inputEl.addEventListener('beforeinput', ctx.beforeInputHandler);
+            if (ctx.draftOptions) {
+                ctx.draftObserver = new MutationObserver(() => {
+                    if (!ctx.draftsPaused)
+                        ctx.saveDraft();
+                });
+                ctx.draftObserver.observe(ctx.inputEl, { childList: true, subtree: true, characterData: true });
+            }
+            document.addEventListener('selectionchange', ctx.selectionChangeHandler);
+            ctx.toolbarEl?.addEventListener('mousedown', ctx.toolbarMouseDownHandler);
         },
         cleanup: () => {
             ctx.inputEl.removeEventListener('keydown', ctx.keyDownHandler);
             ctx.inputEl.removeEventListener('click', ctx.clickHandler);
             ctx.inputEl.removeEventListener('paste', ctx.pasteHandler);
             ctx.inputEl.removeEventListener('input', ctx.inputHandler);
+            ctx.inputEl.removeEventListener('beforeinput', ctx.beforeInputHandler);
+            ctx.draftObserver?.disconnect();
+            ctx.draftObserver = null;
+            document.removeEventListener('selectionchange', ctx.selectionChangeHandler);
+            ctx.toolbarEl?.removeEventListener('mousedown', ctx.toolbarMouseDownHandler);
         }
     };
     ctx.hookEvents();
@@ -0,0 +1,52 @@
+namespace Valour.Client.Device;
+
+/// <summary>
+/// What replaces the background behind the user's camera video. Effects use the background
+/// segmentation model bundled with the client; when it can't load, the camera is sent as is.
+/// </summary>
+public class BackgroundEffectSettings
+{
+    public const double DefaultBlurRadius = 12;
+    public const double MaxBlurRadius = 40;
+    public const string DefaultColor = "#1e1f22";
+
+    public string Mode { get; set; } = BackgroundEffectMode.None;
+    public double BlurRadius { get; set; } = DefaultBlurRadius;
+    public string Color { get; set; } = DefaultColor;
+
+    /// <summary>
+    /// The image shown in Image mode, usually a data URL of an image the user picked.
+    /// </summary>
+    public string? ImageUrl { get; set; }
+
+    public BackgroundEffectSettings Clone() => new()
+    {
+        Mode = Mode,
+        BlurRadius = BlurRadius,
+        Color = Color,
+        ImageUrl = ImageUrl
+    };
+}
+
+/// <summary>
+/// Background effect modes, matching the call module's names.
+/// </summary>
+public static class BackgroundEffectMode
+{
+    public const string None = "none";
+    public const string Blur = "blur";
+    public const string Color = "color";
+    public const string Image = "image";
+
+    public static readonly string[] All = { None, Blur, Color, Image };
+
+    public static string GetName(string mode) =>
+        mode switch
+        {
+            None => "None",
+            Blur => "Blur",
+            Color => "Solid Color",
+            Image => "Image",
+            _ => mode
+        };
+}
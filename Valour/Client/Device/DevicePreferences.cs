@@ -1,4 +1,5 @@
 using Valour.Client.Messages;
+using Valour.Client.Sounds;
 using Valour.Client.Storage;
 using Valour.Client;
 
@@ -7,9 +8,31 @@ namespace Valour.Client.Device;
 public static class DevicePreferences
 {
     public const string ErrorReportingEnabledStorageKey = "ErrorReportingEnabled";
+    public const string DraftMaxAgeDaysStorageKey = "DraftMaxAgeDays";
+    public const int DefaultDraftMaxAgeDays = 7;
+    public const string EnterKeyBehaviorStorageKey = "EnterKeyBehavior";
+    public const string SpatialCallAudioStorageKey = "SpatialCallAudio";
+    public const string NormalizeCallAudioStorageKey = "NormalizeCallAudio";
+    public const string MicInputModeStorageKey = "MicInputMode";
+    public const string PushToTalkKeyStorageKey = "PushToTalkKey";
+    public const string VoiceActivityThresholdStorageKey = "VoiceActivityThreshold";
+    public const string MicReleaseDelayMsStorageKey = "MicReleaseDelayMs";
+    public const string DefaultPushToTalkKey = "Backquote";
+    public const int DefaultVoiceActivityThreshold = 15;
+    public const int DefaultMicReleaseDelayMs = 250;
+    public const int MaxMicReleaseDelayMs = 2000;
+    public const string MicProcessingPresetStorageKey = "MicProcessingPreset";
+    public const string CustomMicProcessingStorageKey = "CustomMicProcessing";
+    public const string SpeakerDeviceIdStorageKey = "SpeakerDeviceId";
+    public const string PreviewCallsBeforeJoiningStorageKey = "PreviewCallsBeforeJoining";
+    public const string BackgroundEffectStorageKey = "BackgroundEffect";
+    public const string SoundLayersStorageKey = "SoundLayers";
 
     public static event Func<string?, Task>? OnMicrophoneDeviceIdChanged;
     public static event Func<string?, Task>? OnCameraDeviceIdChanged;
+    public static event Func<string?, Task>? OnSpeakerDeviceIdChanged;
+    public static event Func<EnterKeyBehavior, Task>? OnEnterKeyBehaviorChanged;
+    public static event Func<Task>? OnMicGateSettingsChanged;
 
 
     /// <summary>
@@ -19,8 +42,79 @@ public static class DevicePreferences
 
     public static string? MicrophoneDeviceId { get; set; }
     public static string? CameraDeviceId { get; set; }
+
+    /// <summary>
+    /// The audio output calls play through, or null for the system default.
+    /// </summary>
+    public static string? SpeakerDeviceId { get; private set; }
+
+    /// <summary>
+    /// True if joining a call first opens a preview to check the camera, mic and speakers.
+    /// </summary>
+    public static bool PreviewCallsBeforeJoining { get; private set; } = true;
+
     public static bool ErrorReportingEnabled { get; private set; }
 
+    /// <summary>
+    /// How long unsent message drafts are kept before they are discarded.
+    /// </summary>
+    public static int DraftMaxAgeDays { get; private set; } = DefaultDraftMaxAgeDays;
+
+    /// <summary>
+    /// What the Enter key does in message inputs.
+    /// </summary>
+    public static EnterKeyBehavior EnterKeyBehavior { get; private set; } = EnterKeyBehavior.Automatic;
+
+    /// <summary>
+    /// True if call participants are panned left-to-right by where they sit in the call.
+    /// </summary>
+    public static bool SpatialCallAudio { get; private set; }
+
+    /// <summary>
+    /// True if call participants are run through a compressor to even out loud speakers.
+    /// </summary>
+    public static bool NormalizeCallAudio { get; private set; }
+
+    /// <summary>
+    /// When the microphone sends audio during a call.
+    /// </summary>
+    public static MicInputMode MicInputMode { get; private set; } = MicInputMode.Open;
+
+    /// <summary>
+    /// The keyboard code (like KeyV or Backquote) held to talk in push-to-talk mode.
+    /// </summary>
+    public static string PushToTalkKey { get; private set; } = DefaultPushToTalkKey;
+
+    /// <summary>
+    /// The input level, as a percentage of the level meter, that opens the mic in voice activity mode.
+    /// </summary>
+    public static int VoiceActivityThreshold { get; private set; } = DefaultVoiceActivityThreshold;
+
+    /// <summary>
+    /// How long the mic stays open after push-to-talk is released or the voice drops below the threshold.
+    /// </summary>
+    public static int MicReleaseDelayMs { get; private set; } = DefaultMicReleaseDelayMs;
+
+    /// <summary>
+    /// The mic processing preset in use. See <see cref="Device.MicProcessingPreset"/>.
+    /// </summary>
+    public static string MicProcessingPreset { get; private set; } = Device.MicProcessingPreset.Off;
+
+    /// <summary>
+    /// The user's own mic processing settings, used by the Custom preset.
+    /// </summary>
+    public static MicProcessingSettings CustomMicProcessing { get; private set; } = new() { Enabled = true };
+
+    /// <summary>
+    /// What replaces the background behind the camera in calls.
+    /// </summary>
+    public static BackgroundEffectSettings BackgroundEffect { get; private set; } = new();
+
+    /// <summary>
+    /// The volume and mute state of each sound layer. Layers without settings play at full volume.
+    /// </summary>
+    public static Dictionary<string, SoundLayerSettings> SoundLayers { get; private set; } = new();
+
     public static async Task SetMicrophoneDeviceId(string? deviceId, IAppStorage localStorage)
     {
         MicrophoneDeviceId = deviceId;
@@ -39,6 +133,21 @@ public static class DevicePreferences
             await OnCameraDeviceIdChanged.Invoke(deviceId);
     }
 
+    public static async Task SetSpeakerDeviceId(string? deviceId, IAppStorage localStorage)
+    {
+        SpeakerDeviceId = deviceId;
+        await localStorage.SetAsync(SpeakerDeviceIdStorageKey, deviceId);
+
+        if (OnSpeakerDeviceIdChanged is not null)
+            await OnSpeakerDeviceIdChanged.Invoke(deviceId);
+    }
+
+    public static async Task SetPreviewCallsBeforeJoining(bool isEnabled, IAppStorage localStorage)
+    {
+        PreviewCallsBeforeJoining = isEnabled;
+        await localStorage.SetAsync(PreviewCallsBeforeJoiningStorageKey, isEnabled);
+    }
+
     public static async Task SetErrorReportingEnabled(bool isEnabled, IAppStorage localStorage)
     {
         ErrorReportingEnabled = isEnabled;
@@ -46,6 +155,100 @@ public static class DevicePreferences
         await localStorage.SetAsync(ErrorReportingEnabledStorageKey, isEnabled);
     }
 
+    public static async Task SetDraftMaxAgeDays(int days, IAppStorage localStorage)
+    {
+        DraftMaxAgeDays = Math.Max(1, days);
+        await localStorage.SetAsync(DraftMaxAgeDaysStorageKey, DraftMaxAgeDays);
+    }
+
+    public static async Task SetEnterKeyBehavior(EnterKeyBehavior behavior, IAppStorage localStorage)
+    {
+        EnterKeyBehavior = behavior;
+        await localStorage.SetAsync(EnterKeyBehaviorStorageKey, behavior.ToString());
+
+        if (OnEnterKeyBehaviorChanged is not null)
+            await OnEnterKeyBehaviorChanged.Invoke(behavior);
+    }
+
+    public static async Task SetSpatialCallAudio(bool isEnabled, IAppStorage localStorage)
+    {
+        SpatialCallAudio = isEnabled;
+        await localStorage.SetAsync(SpatialCallAudioStorageKey, isEnabled);
+    }
+
+    public static async Task SetNormalizeCallAudio(bool isEnabled, IAppStorage localStorage)
+    {
+        NormalizeCallAudio = isEnabled;
+        await localStorage.SetAsync(NormalizeCallAudioStorageKey, isEnabled);
+    }
+
+    public static async Task SetMicInputMode(MicInputMode mode, IAppStorage localStorage)
+    {
+        MicInputMode = mode;
+        await localStorage.SetAsync(MicInputModeStorageKey, mode.ToString());
+        await NotifyMicGateSettingsChanged();
+    }
+
+    public static async Task SetPushToTalkKey(string key, IAppStorage localStorage)
+    {
+        PushToTalkKey = string.IsNullOrWhiteSpace(key) ? DefaultPushToTalkKey : key;
+        await localStorage.SetAsync(PushToTalkKeyStorageKey, PushToTalkKey);
+        await NotifyMicGateSettingsChanged();
+    }
+
+    public static async Task SetVoiceActivityThreshold(int threshold, IAppStorage localStorage)
+    {
+        VoiceActivityThreshold = Math.Clamp(threshold, 0, 100);
+        await localStorage.SetAsync(VoiceActivityThresholdStorageKey, VoiceActivityThreshold);
+        await NotifyMicGateSettingsChanged();
+    }
+
+    public static async Task SetMicReleaseDelayMs(int delayMs, IAppStorage localStorage)
+    {
+        MicReleaseDelayMs = Math.Clamp(delayMs, 0, MaxMicReleaseDelayMs);
+        await localStorage.SetAsync(MicReleaseDelayMsStorageKey, MicReleaseDelayMs);
+        await NotifyMicGateSettingsChanged();
+    }
+
+    /// <summary>
+    /// The mic processing settings for the current preset
+    /// </summary>
+    public static MicProcessingSettings GetMicProcessingSettings() =>
+        Device.MicProcessingPreset.Create(MicProcessingPreset) ?? CustomMicProcessing;
+
+    public static async Task SetMicProcessingPreset(string preset, IAppStorage localStorage)
+    {
+        MicProcessingPreset = Device.MicProcessingPreset.All.Contains(preset) ? preset : Device.MicProcessingPreset.Off;
+        await localStorage.SetAsync(MicProcessingPresetStorageKey, MicProcessingPreset);
+    }
+
+    public static async Task SetCustomMicProcessing(MicProcessingSettings settings, IAppStorage localStorage)
+    {
+        CustomMicProcessing = settings;
+        await localStorage.SetAsync(CustomMicProcessingStorageKey, settings);
+    }
+
+    public static async Task SetBackgroundEffect(BackgroundEffectSettings settings, IAppStorage localStorage)
+    {
+        BackgroundEffect = settings;
+        await localStorage.SetAsync(BackgroundEffectStorageKey, settings);
+    }
+
+    public static SoundLayerSettings GetSoundLayer(string layer) =>
+        SoundLayers.TryGetValue(layer, out var settings) ? settings : new SoundLayerSettings();
+
+    public static async Task SetSoundLayer(string layer, SoundLayerSettings settings, IAppStorage localStorage)
+    {
+        SoundLayers[layer] = settings;
+        await localStorage.SetAsync(SoundLayersStorageKey, SoundLayers);
+    }
+
+    private static async Task NotifyMicGateSettingsChanged()
+    {
+        if (OnMicGateSettingsChanged is not null)
+            await OnMicGateSettingsChanged.Invoke();
+    }
+
     public static async Task LoadPreferences(IAppStorage localStorage)
     {
         if (await localStorage.ContainsKeyAsync("AutoEmoji"))
@@ -63,6 +266,84 @@ public static class DevicePreferences
             CameraDeviceId = await localStorage.GetAsync<string>("CameraDeviceId");
         }
 
+        if (await localStorage.ContainsKeyAsync(SpeakerDeviceIdStorageKey))
+        {
+            SpeakerDeviceId = await localStorage.GetAsync<string>(SpeakerDeviceIdStorageKey);
+        }
+
+        if (await localStorage.ContainsKeyAsync(PreviewCallsBeforeJoiningStorageKey))
+        {
+            PreviewCallsBeforeJoining = await localStorage.GetAsync<bool>(PreviewCallsBeforeJoiningStorageKey);
+        }
+
+        if (await localStorage.ContainsKeyAsync(DraftMaxAgeDaysStorageKey))
+        {
+            DraftMaxAgeDays = Math.Max(1, await localStorage.GetAsync<int>(DraftMaxAgeDaysStorageKey));
+        }
+
+        if (await localStorage.ContainsKeyAsync(EnterKeyBehaviorStorageKey) &&
+            Enum.TryParse<EnterKeyBehavior>(await localStorage.GetAsync<string>(EnterKeyBehaviorStorageKey), out var enterKeyBehavior))
+        {
+            EnterKeyBehavior = enterKeyBehavior;
+        }
+
+        if (await localStorage.ContainsKeyAsync(SpatialCallAudioStorageKey))
+        {
+            SpatialCallAudio = await localStorage.GetAsync<bool>(SpatialCallAudioStorageKey);
+        }
+
+        if (await localStorage.ContainsKeyAsync(NormalizeCallAudioStorageKey))
+        {
+            NormalizeCallAudio = await localStorage.GetAsync<bool>(NormalizeCallAudioStorageKey);
+        }
+
+        if (await localStorage.ContainsKeyAsync(MicInputModeStorageKey) &&
+            Enum.TryParse<MicInputMode>(await localStorage.GetAsync<string>(MicInputModeStorageKey), out var micInputMode))
+        {
+            MicInputMode = micInputMode;
+        }
+
+        if (await localStorage.ContainsKeyAsync(PushToTalkKeyStorageKey))
+        {
+            var pushToTalkKey = await localStorage.GetAsync<string>(PushToTalkKeyStorageKey);
+            PushToTalkKey = string.IsNullOrWhiteSpace(pushToTalkKey) ? DefaultPushToTalkKey : pushToTalkKey;
+        }
+
+        if (await localStorage.ContainsKeyAsync(VoiceActivityThresholdStorageKey))
+        {
+            VoiceActivityThreshold = Math.Clamp(await localStorage.GetAsync<int>(VoiceActivityThresholdStorageKey), 0, 100);
+        }
+
+        if (await localStorage.ContainsKeyAsync(MicReleaseDelayMsStorageKey))
+        {
+            MicReleaseDelayMs = Math.Clamp(await localStorage.GetAsync<int>(MicReleaseDelayMsStorageKey), 0, MaxMicReleaseDelayMs);
+        }
+
+        if (await localStorage.ContainsKeyAsync(MicProcessingPresetStorageKey))
+        {
+            var preset = await localStorage.GetAsync<string>(MicProcessingPresetStorageKey);
+            if (preset is not null && Device.MicProcessingPreset.All.Contains(preset))
+                MicProcessingPreset = preset;
+        }
+
+        if (await localStorage.ContainsKeyAsync(CustomMicProcessingStorageKey))
+        {
+            CustomMicProcessing = await localStorage.GetAsync<MicProcessingSettings>(CustomMicProcessingStorageKey)
+                                  ?? CustomMicProcessing;
+        }
+
+        if (await localStorage.ContainsKeyAsync(BackgroundEffectStorageKey))
+        {
+            BackgroundEffect = await localStorage.GetAsync<BackgroundEffectSettings>(BackgroundEffectStorageKey)
+                               ?? BackgroundEffect;
+        }
+
+        if (await localStorage.ContainsKeyAsync(SoundLayersStorageKey))
+        {
+            SoundLayers = await localStorage.GetAsync<Dictionary<string, SoundLayerSettings>>(SoundLayersStorageKey)
+                          ?? SoundLayers;
+        }
+
         if (await localStorage.ContainsKeyAsync(ErrorReportingEnabledStorageKey))
         {
             ErrorReportingEnabled = await localStorage.GetAsync<bool>(ErrorReportingEnabledStorageKey);
@@ -0,0 +1,27 @@
+namespace Valour.Client.Device;
+
+/// <summary>
+/// What pressing Enter does in a message input. Shift+Enter always adds a new line.
+/// </summary>
+public enum EnterKeyBehavior
+{
+    /// <summary>
+    /// Enter sends, unless typing on an on-screen keyboard where it adds a new line
+    /// </summary>
+    Automatic,
+
+    /// <summary>
+    /// Enter always sends
+    /// </summary>
+    Enter,
+
+    /// <summary>
+    /// Ctrl+Enter (Cmd+Enter on Mac) sends, Enter adds a new line
+    /// </summary>
+    CtrlEnter,
+
+    /// <summary>
+    /// Messages are only sent with the send button
+    /// </summary>
+    ButtonOnly
+}
@@ -0,0 +1,22 @@
+namespace Valour.Client.Device;
+
+/// <summary>
+/// When the microphone sends audio during a call.
+/// </summary>
+public enum MicInputMode
+{
+    /// <summary>
+    /// The microphone is always sending while unmuted
+    /// </summary>
+    Open,
+
+    /// <summary>
+    /// The microphone only sends while the push-to-talk key is held
+    /// </summary>
+    PushToTalk,
+
+    /// <summary>
+    /// The microphone only sends while the input level is over the threshold
+    /// </summary>
+    VoiceActivity
+}
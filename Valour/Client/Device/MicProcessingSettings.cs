@@ -0,0 +1,130 @@
+namespace Valour.Client.Device;
+
+/// <summary>
+/// Settings for the processing chain on the outgoing microphone. Each stage can be turned
+/// on separately, and nothing runs unless the chain itself is enabled.
+/// </summary>
+public class MicProcessingSettings
+{
+    public bool Enabled { get; set; }
+    public MicHighPassSettings HighPass { get; set; } = new();
+    public MicNoiseSuppressionSettings NoiseSuppression { get; set; } = new();
+    public MicNoiseGateSettings Gate { get; set; } = new();
+    public MicCompressorSettings Compressor { get; set; } = new();
+
+    public MicProcessingSettings Clone() => new()
+    {
+        Enabled = Enabled,
+        HighPass = new MicHighPassSettings { Enabled = HighPass.Enabled, Frequency = HighPass.Frequency },
+        NoiseSuppression = new MicNoiseSuppressionSettings { Enabled = NoiseSuppression.Enabled },
+        Gate = new MicNoiseGateSettings
+        {
+            Enabled = Gate.Enabled,
+            ThresholdDb = Gate.ThresholdDb,
+            HoldMs = Gate.HoldMs,
+            ReleaseMs = Gate.ReleaseMs
+        },
+        Compressor = new MicCompressorSettings
+        {
+            Enabled = Compressor.Enabled,
+            ThresholdDb = Compressor.ThresholdDb,
+            Ratio = Compressor.Ratio,
+            MakeupDb = Compressor.MakeupDb
+        }
+    };
+}
+
+/// <summary>
+/// Removes rumble below the cutoff frequency
+/// </summary>
+public class MicHighPassSettings
+{
+    public bool Enabled { get; set; }
+    public double Frequency { get; set; } = 80;
+}
+
+/// <summary>
+/// Runs the RNNoise noise suppression model bundled with the client
+/// </summary>
+public class MicNoiseSuppressionSettings
+{
+    public bool Enabled { get; set; }
+}
+
+/// <summary>
+/// Silences the mic while the input is under the threshold
+/// </summary>
+public class MicNoiseGateSettings
+{
+    public bool Enabled { get; set; }
+    public double ThresholdDb { get; set; } = -50;
+    public double HoldMs { get; set; } = 150;
+    public double ReleaseMs { get; set; } = 120;
+}
+
+/// <summary>
+/// Evens out loud and quiet speech
+/// </summary>
+public class MicCompressorSettings
+{
+    public bool Enabled { get; set; }
+    public double ThresholdDb { get; set; } = -24;
+    public double Ratio { get; set; } = 3;
+    public double MakeupDb { get; set; }
+}
+
+/// <summary>
+/// Built-in mic processing presets. Custom uses the user's own saved settings.
+/// </summary>
+public static class MicProcessingPreset
+{
+    public const string Off = "Off";
+    public const string Light = "Light";
+    public const string NoisyRoom = "NoisyRoom";
+    public const string Broadcast = "Broadcast";
+    public const string Custom = "Custom";
+
+    public static readonly string[] All = { Off, Light, NoisyRoom, Broadcast, Custom };
+
+    public static string GetName(string preset) =>
+        preset switch
+        {
+            Off => "Off",
+            Light => "Light",
+            NoisyRoom => "Noisy Room",
+            Broadcast => "Broadcast",
+            Custom => "Custom",
+            _ => preset
+        };
+
+    /// <summary>
+    /// Returns the settings for a built-in preset, or null for Custom and unknown presets
+    /// </summary>
+    public static MicProcessingSettings? Create(string preset) =>
+        preset switch
+        {
+            Off => new MicProcessingSettings(),
+            Light => new MicProcessingSettings
+            {
+                Enabled = true,
+                HighPass = { Enabled = true, Frequency = 80 },
+                Compressor = { Enabled = true, ThresholdDb = -24, Ratio = 2 }
+            },
+            NoisyRoom => new MicProcessingSettings
+            {
+                Enabled = true,
+                HighPass = { Enabled = true, Frequency = 120 },
+                NoiseSuppression = { Enabled = true },
+                Gate = { Enabled = true, ThresholdDb = -45 },
+                Compressor = { Enabled = true, ThresholdDb = -24, Ratio = 3 }
+            },
+            Broadcast => new MicProcessingSettings
+            {
+                Enabled = true,
+                HighPass = { Enabled = true, Frequency = 80 },
+                Gate = { Enabled = true, ThresholdDb = -55 },
+                Compressor = { Enabled = true, ThresholdDb = -20, Ratio = 4, MakeupDb = 4 }
+            },
+            _ => null
+        };
+}
@@ -0,0 +1,46 @@
+using Markdig;
+using Markdig.Extensions.Tables;
+using Markdig.Parsers.Inlines;
+using Markdig.Renderers;
+
+namespace Valour.Client.Markdig;
+
+/// <summary>
+/// A markdown extension for ||spoilers||
+/// </summary>
+public class SpoilerExtension : IMarkdownExtension
+{
+    public SpoilerExtension()
+    {
+    }
+    
+    public void Setup(MarkdownPipelineBuilder pipeline)
+    {
+        if (pipeline.InlineParsers.Contains<SpoilerParser>())
+            return;
+
+        // Pipe tables would otherwise take every |
+        if (!pipeline.InlineParsers.InsertBefore<PipeTableParser>(new SpoilerParser()))
+        {
+            pipeline.InlineParsers.InsertBefore<EmphasisInlineParser>(new SpoilerParser());
+        }
+    }
+    
+    public void Setup(MarkdownPipeline pipeline, IMarkdownRenderer renderer)
+    {
+        // Embeds are rendered to html rather than components
+        if (renderer is HtmlRenderer htmlRenderer)
+        {
+            htmlRenderer.ObjectRenderers.AddIfNotAlready<SpoilerHtmlRenderer>();
+        }
+    }
+}
+
+public static class SpoilerMarkdownExtension
+{
+    public static MarkdownPipelineBuilder UseSpoilerExtension(this MarkdownPipelineBuilder pipeline)
+    {
+        pipeline.Extensions.AddIfNotAlready<SpoilerExtension>();
+        return pipeline;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+using Markdig.Parsers;
+using Markdig.Syntax.Inlines;
+
+namespace Valour.Client.Markdig;
+
+/// <summary>
+/// Content between || markers, hidden until clicked
+/// </summary>
+public class SpoilerInline : ContainerInline
+{
+}
+
+/// <summary>
+/// An opening || that is still waiting for its closing marker
+/// </summary>
+public class SpoilerDelimiterInline : DelimiterInline
+{
+    public SpoilerDelimiterInline(InlineParser parser) : base(parser)
+    {
+        Type = DelimiterType.Open;
+    }
+
+    public override string ToLiteral()
+    {
+        return "||";
+    }
+}
\ No newline at end of file
@@ -0,0 +1,105 @@
+using Markdig.Helpers;
+using Markdig.Parsers;
+using Markdig.Syntax.Inlines;
+
+namespace Valour.Client.Markdig;
+
+public class SpoilerParser : InlineParser, IPostInlineProcessor
+{
+    public SpoilerParser()
+    {
+        OpeningCharacters = new[] { '|' };
+    }
+
+    public override bool Match(InlineProcessor processor, ref StringSlice slice)
+    {
+        // Format:
+        // ||xxx||
+        // Example:
+        // ||the butler did it|| (hidden until clicked)
+        // Content may not start or end with whitespace, which keeps empty table cells like | a || b | as they are
+        if (slice.PeekCharExtra(1) != '|')
+        {
+            return false;
+        }
+
+        var openParent = processor.Inline?.FirstParentOfType<SpoilerDelimiterInline>();
+        if (openParent is not null)
+        {
+            if (slice.PeekCharExtra(-1).IsWhitespace())
+            {
+                return false;
+            }
+
+            // Wrap everything since the opening marker, the same way links close
+            var spoiler = new SpoilerInline();
+            openParent.ReplaceBy(spoiler);
+            processor.Inline = spoiler;
+
+            // Emphasis inside the spoiler is matched within it
+            processor.PostProcessInlines(0, spoiler, null, false);
+            spoiler.IsClosed = true;
+
+            slice.Start += 2;
+            return true;
+        }
+
+        if (slice.PeekCharExtra(2).IsWhitespace() || !HasClosingMarker(slice))
+        {
+            return false;
+        }
+
+        // Following inlines are added inside the delimiter until it closes
+        processor.Inline = new SpoilerDelimiterInline(this);
+        slice.Start += 2;
+
+        return true;
+    }
+
+    public bool PostProcess(InlineProcessor state, Inline? root, Inline? lastChild, int postInlineProcessorIndex, bool isFinalProcessing)
+    {
+        // A closing marker that was taken by something else (like a code span) leaves the opening one unmatched
+        if (isFinalProcessing && root is ContainerInline container)
+        {
+            var unmatched = new List<SpoilerDelimiterInline>();
+            FindDelimiters(container, unmatched);
+
+            foreach (var delimiter in unmatched)
+            {
+                delimiter.ReplaceByLiteral();
+            }
+        }
+
+        return true;
+    }
+
+    private static bool HasClosingMarker(StringSlice slice)
+    {
+        // The content needs at least one character before the closing ||
+        for (var i = slice.Start + 3; i < slice.End; i++)
+        {
+            if (slice.Text[i] == '|' && slice.Text[i + 1] == '|' && !slice.Text[i - 1].IsWhitespace())
+            {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private static void FindDelimiters(ContainerInline container, List<SpoilerDelimiterInline> found)
+    {
+        foreach (var child in container)
+        {
+            if (child is SpoilerDelimiterInline delimiter)
+            {
+                found.Add(delimiter);
+            }
+
+            if (child is ContainerInline childContainer)
+            {
+                FindDelimiters(childContainer, found);
+            }
+        }
+    }
+}
\ No newline at end of file
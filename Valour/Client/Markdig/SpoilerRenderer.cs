@@ -0,0 +1,36 @@
+using Markdig.Blazor;
+using Markdig.Renderers;
+using Markdig.Renderers.Html;
+
+namespace Valour.Client.Markdig;
+
+public class SpoilerRenderer : BlazorObjectRenderer<SpoilerInline>
+{
+    protected override void Write(BlazorRenderer renderer, SpoilerInline obj)
+    {
+        if (renderer == null) throw new ArgumentNullException(nameof(renderer));
+        if (obj == null) throw new ArgumentNullException(nameof(obj));
+
+        renderer.OpenElement("span")
+            .AddAttribute("class", "spoiler")
+            .AddAttribute("onclick", SpoilerHtmlRenderer.RevealScript);
+        renderer.WriteChildren(obj);
+        renderer.CloseElement();
+    }
+}
+
+public class SpoilerHtmlRenderer : HtmlObjectRenderer<SpoilerInline>
+{
+    // Revealing is kept on the element so it survives re-renders of the message
+    public const string RevealScript = "this.classList.add('revealed')";
+
+    protected override void Write(HtmlRenderer renderer, SpoilerInline obj)
+    {
+        if (renderer == null) throw new ArgumentNullException(nameof(renderer));
+        if (obj == null) throw new ArgumentNullException(nameof(obj));
+
+        renderer.Write("<span class=\"spoiler\" onclick=\"").Write(RevealScript).Write("\">");
+        renderer.WriteChildren(obj);
+        renderer.Write("</span>");
+    }
+}
\ No newline at end of file
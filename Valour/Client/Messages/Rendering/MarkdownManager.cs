@@ -38,12 +38,14 @@ public static class MarkdownManager
             //.UseEmojiAndSmiley(DevicePreferences.AutoEmoji)
             .UseMentionExtension()
             .UseStockExtension()
+            .UseSpoilerExtension()
             .UseValourEmojiExtension(DevicePreferences.AutoEmoji)
             .Build();
 
         Renderer = new BlazorRenderer(null, true);
         Renderer.ObjectRenderers.Add(new MentionRenderer());
         Renderer.ObjectRenderers.Add(new StockRenderer());
+        Renderer.ObjectRenderers.Add(new SpoilerRenderer());
         Renderer.ObjectRenderers.Add(new ValourEmojiRenderer());
     }
 
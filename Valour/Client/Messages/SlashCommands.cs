@@ -0,0 +1,241 @@
+using System.Globalization;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using Valour.Sdk.Models;
+
+namespace Valour.Client.Messages;
+
+/// <summary>
+/// A typed argument of a slash command, shown as a placeholder chip in the input
+/// </summary>
+public class SlashCommandArgument
+{
+    public const string TextType = "text";
+    public const string NumberType = "number";
+    public const string MentionType = "mention";
+
+    [JsonPropertyName("name")]
+    public string Name { get; set; }
+
+    /// <summary>
+    /// One of text, number or mention. A text argument in last position takes the rest of the message.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = TextType;
+
+    [JsonPropertyName("optional")]
+    public bool Optional { get; set; }
+
+    /// <summary>
+    /// The placeholder shown in the argument chip
+    /// </summary>
+    [JsonIgnore]
+    public string Placeholder => Optional ? $"[{Name}]" : $"<{Name}>";
+}
+
+/// <summary>
+/// A command that can be run by typing /name at the start of a message
+/// </summary>
+public class SlashCommand
+{
+    public string Name { get; set; }
+
+    public string Description { get; set; }
+
+    /// <summary>
+    /// Where the command comes from, either "Built-in" or the name of a bot
+    /// </summary>
+    public string Source { get; set; }
+
+    public List<SlashCommandArgument> Arguments { get; set; } = new();
+
+    /// <summary>
+    /// Builds the message content that is actually sent from the parsed arguments.
+    /// Missing optional arguments are passed as empty strings.
+    /// </summary>
+    public Func<string[], string> BuildContent { get; set; }
+}
+
+public static class SlashCommands
+{
+    public const string BuiltInSource = "Built-in";
+
+    private static readonly Regex MentionRegex = new("^«@[murc]-[0-9]{1,20}»$", RegexOptions.Compiled);
+    private static readonly Regex InvalidNameChars = new("[^a-z0-9_-]+", RegexOptions.Compiled);
+
+    public static readonly List<SlashCommand> BuiltIn = new()
+    {
+        new SlashCommand
+        {
+            Name = "shrug",
+            Description = "Appends ¯\\_(ツ)_/¯ to your message",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "message", Optional = true } },
+            BuildContent = args => $"{args[0]} ¯\\\\\\_(ツ)\\_/¯".TrimStart()
+        },
+        new SlashCommand
+        {
+            Name = "tableflip",
+            Description = "Appends (╯°□°)╯︵ ┻━┻ to your message",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "message", Optional = true } },
+            BuildContent = args => $"{args[0]} (╯°□°)╯︵ ┻━┻".TrimStart()
+        },
+        new SlashCommand
+        {
+            Name = "unflip",
+            Description = "Appends ┬─┬ノ( º _ ºノ) to your message",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "message", Optional = true } },
+            BuildContent = args => $"{args[0]} ┬─┬ノ( º \\_ ºノ)".TrimStart()
+        },
+        new SlashCommand
+        {
+            Name = "me",
+            Description = "Describes what you are doing",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "action" } },
+            BuildContent = args => $"*{args[0]}*"
+        },
+        new SlashCommand
+        {
+            Name = "spoiler",
+            Description = "Hides your message until it is clicked",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "message" } },
+            BuildContent = args => $"||{args[0]}||"
+        },
+        new SlashCommand
+        {
+            Name = "roll",
+            Description = "Rolls a die",
+            Source = BuiltInSource,
+            Arguments = { new SlashCommandArgument { Name = "sides", Type = SlashCommandArgument.NumberType, Optional = true } },
+            BuildContent = args =>
+            {
+                var sides = int.TryParse(args[0], out var parsed) ? Math.Clamp(parsed, 2, 1000) : 6;
+                return $"🎲 Rolled **{Random.Shared.Next(1, sides + 1)}** (1-{sides})";
+            }
+        },
+    };
+
+    /// <summary>
+    /// Returns the commands available in the given channel: the built-in commands,
+    /// and one command per bot in the planet which sends the bot a message.
+    /// </summary>
+    public static List<SlashCommand> GetCommands(Channel channel)
+    {
+        var commands = new List<SlashCommand>(BuiltIn);
+
+        var planet = channel?.Planet;
+        if (planet is null)
+            return commands;
+
+        foreach (var member in planet.Members)
+        {
+            if (member.User is null || !member.User.Bot)
+                continue;
+
+            var name = InvalidNameChars.Replace(member.Name.ToLowerInvariant().Replace(' ', '-'), string.Empty);
+            if (string.IsNullOrEmpty(name) || commands.Any(x => x.Name == name))
+                continue;
+
+            var memberId = member.Id;
+            commands.Add(new SlashCommand
+            {
+                Name = name,
+                Description = $"Sends a message to {member.Name}",
+                Source = member.Name,
+                Arguments = { new SlashCommandArgument { Name = "message" } },
+                BuildContent = args => $"«@m-{memberId}» {args[0]}"
+            });
+        }
+
+        return commands;
+    }
+
+    public static List<SlashCommand> Search(Channel channel, string query, int maxResults = 10)
+    {
+        var normalized = (query ?? string.Empty).TrimStart('/').ToLowerInvariant();
+
+        return GetCommands(channel)
+            .Where(x => x.Name.Contains(normalized))
+            .OrderByDescending(x => x.Name.StartsWith(normalized))
+            .ThenBy(x => x.Name.Length)
+            .Take(maxResults)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Finds the command a message starts with, if any, and returns the text after the command name
+    /// </summary>
+    public static SlashCommand Find(Channel channel, string content, out string rest)
+    {
+        rest = string.Empty;
+
+        content = content?.TrimStart();
+        if (string.IsNullOrEmpty(content) || content[0] != '/')
+            return null;
+
+        var end = content.IndexOfAny(new[] { ' ', '\n' });
+        var name = (end == -1 ? content[1..] : content[1..end]).ToLowerInvariant();
+        rest = end == -1 ? string.Empty : content[(end + 1)..].Trim();
+
+        return GetCommands(channel).FirstOrDefault(x => x.Name == name);
+    }
+
+    /// <summary>
+    /// Splits the text after a command into its arguments. Every argument takes one word,
+    /// except the last, which takes the rest of the text.
+    /// </summary>
+    public static string[] ParseArguments(SlashCommand command, string rest)
+    {
+        var count = command.Arguments.Count;
+        var args = new string[count];
+        if (count == 0)
+            return args;
+
+        var parts = (rest ?? string.Empty).Split(' ', count, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        for (var i = 0; i < count; i++)
+        {
+            args[i] = i < parts.Length ? parts[i] : string.Empty;
+        }
+
+        return args;
+    }
+
+    /// <summary>
+    /// Checks parsed arguments against the command's argument types.
+    /// Returns an error message, or null if the arguments are valid.
+    /// </summary>
+    public static string Validate(SlashCommand command, string[] args)
+    {
+        for (var i = 0; i < command.Arguments.Count; i++)
+        {
+            var argument = command.Arguments[i];
+            var value = args[i];
+
+            if (string.IsNullOrEmpty(value))
+            {
+                if (argument.Optional)
+                    continue;
+
+                return $"/{command.Name} needs a value for {argument.Name}";
+            }
+
+            switch (argument.Type)
+            {
+                case SlashCommandArgument.NumberType:
+                    if (!double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out var number) || !double.IsFinite(number))
+                        return $"{argument.Name} must be a number";
+                    break;
+                case SlashCommandArgument.MentionType:
+                    if (!MentionRegex.IsMatch(value))
+                        return $"{argument.Name} must be a mention";
+                    break;
+            }
+        }
+
+        return null;
+    }
+}
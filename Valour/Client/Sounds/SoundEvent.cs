@@ -0,0 +1,68 @@
+﻿using Valour.Shared.Models;
+
+namespace Valour.Client.Sounds;
+
+/// <summary>
+/// The events a sound can be played for. A sound pack can replace the sound of any of them.
+/// </summary>
+public static class SoundEvent
+{
+    public const string Notification = "notification";
+    public const string Message = "message";
+    public const string Mention = "mention";
+    public const string JoinCall = "join-call";
+
+    public static readonly string[] All = { Notification, Message, Mention, JoinCall };
+
+    public static string GetName(string soundEvent) =>
+        soundEvent switch
+        {
+            Notification => "Notifications",
+            Message => "Messages",
+            Mention => "Mentions",
+            JoinCall => "Joining a Call",
+            _ => soundEvent
+        };
+
+    /// <summary>
+    /// Returns the layer a sound event plays through
+    /// </summary>
+    public static string GetLayer(string soundEvent) =>
+        soundEvent switch
+        {
+            JoinCall => SoundLayer.Calls,
+            _ => SoundLayer.Notifications
+        };
+
+    /// <summary>
+    /// Returns the event to play for a notification
+    /// </summary>
+    public static string ForNotification(NotificationSource source) =>
+        source switch
+        {
+            NotificationSource.DirectMention or
+            NotificationSource.PlanetMemberMention or
+            NotificationSource.PlanetRoleMention or
+            NotificationSource.PlanetHereMention or
+            NotificationSource.PlanetEveryoneMention => Mention,
+            NotificationSource.DirectMessage or
+            NotificationSource.DirectReply or
+            NotificationSource.PlanetMemberReply => Message,
+            _ => Notification
+        };
+}
+
+/// <summary>
+/// A sound pack installed on this device, as described by the sound module. Planets can't
+/// provide packs for their channels yet.
+/// </summary>
+public class SoundPackInfo
+{
+    public string Id { get; set; }
+    public string Name { get; set; }
+
+    /// <summary>
+    /// The events the pack has sounds for
+    /// </summary>
+    public List<string> Events { get; set; } = new();
+}
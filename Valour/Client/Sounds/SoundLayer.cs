@@ -0,0 +1,37 @@
+﻿namespace Valour.Client.Sounds;
+
+/// <summary>
+/// The layers sounds are played through. Each layer has its own volume and mute.
+/// </summary>
+public static class SoundLayer
+{
+    public const string Notifications = "notifications";
+
+    /// <summary>
+    /// Call sounds, which still play during quiet hours
+    /// </summary>
+    public const string Calls = "calls";
+
+    public static readonly string[] All = { Notifications, Calls };
+
+    public static string GetName(string layer) =>
+        layer switch
+        {
+            Notifications => "Notifications",
+            Calls => "Calls",
+            _ => layer
+        };
+}
+
+/// <summary>
+/// The volume and mute state of a sound layer, saved on the device
+/// </summary>
+public class SoundLayerSettings
+{
+    /// <summary>
+    /// From 0 to 1
+    /// </summary>
+    public double Volume { get; set; } = 1;
+
+    public bool Muted { get; set; }
+}
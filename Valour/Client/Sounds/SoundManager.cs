@@ -1,10 +1,19 @@
 ﻿using Valour.Client.Components.Sounds;
+using Valour.Client.Device;
+using Valour.Client.Storage;
 using Valour.Shared.Models;
 
 namespace Valour.Client.Sounds;
 
 public class SoundManager
 {
+    private readonly IAppStorage _localStorage;
+
+    public SoundManager(IAppStorage localStorage)
+    {
+        _localStorage = localStorage;
+    }
+
     public SoundsComponent? Component { get; set; }
     public int NotificationVolume { get; private set; } = NotificationPreferences.DefaultNotificationVolume;
 
@@ -13,12 +22,162 @@ public class SoundManager
         NotificationVolume = NotificationPreferences.ClampVolume(volume);
     }
 
-    public async Task PlaySound(string name)
+    /// <summary>
+    /// Plays a sound event or file, unless the suppression rules skip it.
+    /// Pass the channel the sound is for so muted channels can be respected.
+    /// </summary>
+    public async Task PlaySound(string name, long? channelId = null)
+    {
+        if (Component is null)
+            return;
+
+        var volume = NotificationVolume / 100d;
+        await Component.PlaySound(name, volume, channelId);
+    }
+
+    /// <summary>
+    /// Plays a sound for the settings, ignoring the suppression rules
+    /// </summary>
+    public async Task PreviewSound(string name)
     {
         if (Component is null)
             return;
 
         var volume = NotificationVolume / 100d;
-        await Component.PlaySound(name, volume);
+        await Component.PlaySound(name, volume, preview: true);
+    }
+
+    /// <summary>
+    /// Returns a copy of the volume and mute state of every sound layer
+    /// </summary>
+    public Dictionary<string, SoundLayerSettings> GetLayerSettings()
+    {
+        return SoundLayer.All.ToDictionary(x => x, x =>
+        {
+            var settings = DevicePreferences.GetSoundLayer(x);
+            return new SoundLayerSettings { Volume = settings.Volume, Muted = settings.Muted };
+        });
+    }
+
+    /// <summary>
+    /// Sends the saved sound layer settings to the sound module
+    /// </summary>
+    public async Task ApplyLayerSettingsAsync()
+    {
+        if (Component is null)
+            return;
+
+        await Component.SetLayerSettingsAsync(DevicePreferences.SoundLayers);
+    }
+
+    /// <summary>
+    /// Sets and saves the volume (0 to 1) of a sound layer
+    /// </summary>
+    public async Task SetLayerVolumeAsync(string layer, double volume)
+    {
+        volume = Math.Clamp(volume, 0, 1);
+
+        var muted = DevicePreferences.GetSoundLayer(layer).Muted;
+        await DevicePreferences.SetSoundLayer(layer, new SoundLayerSettings { Volume = volume, Muted = muted }, _localStorage);
+
+        if (Component is not null)
+            await Component.SetLayerVolumeAsync(layer, volume);
+    }
+
+    public async Task SetLayerMutedAsync(string layer, bool muted)
+    {
+        var volume = DevicePreferences.GetSoundLayer(layer).Volume;
+        await DevicePreferences.SetSoundLayer(layer, new SoundLayerSettings { Volume = volume, Muted = muted }, _localStorage);
+
+        if (Component is not null)
+            await Component.SetLayerMutedAsync(layer, muted);
+    }
+
+    public async Task<SoundSuppressionSettings> GetSuppressionSettingsAsync()
+    {
+        if (Component is null)
+            return new SoundSuppressionSettings();
+
+        return await Component.GetSuppressionSettingsAsync();
+    }
+
+    /// <summary>
+    /// Sets the daily do not disturb schedule. Start and end are HH:mm in local time.
+    /// </summary>
+    public async Task SetDndScheduleAsync(bool enabled, string start, string end)
+    {
+        if (Component is null)
+            return;
+
+        await Component.SetDndScheduleAsync(enabled, start, end);
+    }
+
+    public async Task<bool> IsChannelMutedAsync(long channelId)
+    {
+        if (Component is null)
+            return false;
+
+        return await Component.IsChannelMutedAsync(channelId);
+    }
+
+    /// <summary>
+    /// Mutes or unmutes sounds from a channel. Mentions in muted channels still play.
+    /// </summary>
+    public async Task SetChannelMutedAsync(long channelId, bool muted)
+    {
+        if (Component is null)
+            return;
+
+        await Component.SetChannelMutedAsync(channelId, muted);
+    }
+
+    /// <summary>
+    /// Checks and installs a zipped sound pack, returning it if it was installed.
+    /// The error explains what is wrong with the pack if it wasn't.
+    /// </summary>
+    public async Task<(SoundPackInfo? Pack, string? Error)> InstallSoundPackAsync(byte[] zip)
+    {
+        if (Component is null)
+            return (null, "Sounds are not ready yet.");
+
+        return await Component.InstallSoundPackAsync(zip);
+    }
+
+    public async Task<List<SoundPackInfo>> GetSoundPacksAsync()
+    {
+        if (Component is null)
+            return new List<SoundPackInfo>();
+
+        return await Component.GetSoundPacksAsync();
+    }
+
+    public async Task RemoveSoundPackAsync(string id)
+    {
+        if (Component is null)
+            return;
+
+        await Component.RemoveSoundPackAsync(id);
+    }
+
+    /// <summary>
+    /// Returns the id of the pack chosen for each sound event. Events without one use the built in sound.
+    /// </summary>
+    public async Task<Dictionary<string, string>> GetSoundPackSelectionAsync()
+    {
+        if (Component is null)
+            return new Dictionary<string, string>();
+
+        return await Component.GetSoundPackSelectionAsync();
+    }
+
+    /// <summary>
+    /// Chooses the pack that plays a sound event, or the built in sound if packId is null
+    /// </summary>
+    public async Task SetSoundPackForEventAsync(string soundEvent, string? packId)
+    {
+        if (Component is null)
+            return;
+
+        await Component.SetSoundPackForEventAsync(soundEvent, packId);
     }
 }
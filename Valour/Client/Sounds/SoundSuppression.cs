@@ -0,0 +1,33 @@
+﻿namespace Valour.Client.Sounds;
+
+/// <summary>
+/// The rules the sound module uses to skip sounds, saved on the device
+/// </summary>
+public class SoundSuppressionSettings
+{
+    public DndSchedule Dnd { get; set; } = new();
+
+    /// <summary>
+    /// Ids of channels that only play sounds for mentions
+    /// </summary>
+    public List<string> MutedChannels { get; set; } = new();
+}
+
+/// <summary>
+/// A daily window, in local time, where notification sounds are not played.
+/// Calls still ring during it.
+/// </summary>
+public class DndSchedule
+{
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    /// Start time as HH:mm. Can be after End, in which case the schedule runs over midnight.
+    /// </summary>
+    public string Start { get; set; } = "22:00";
+
+    /// <summary>
+    /// End time as HH:mm
+    /// </summary>
+    public string End { get; set; } = "07:00";
+}
@@ -11,8 +11,34 @@ window.clipboardCopy = {
     }
 };
 
-let mobile = false;
-(function (a) { if (/(android|bb\d+|meego).+mobile|\avantgo|bada\/|blackberry|blazer|compal|elaine|fennec|hiptop|iemobile|ip(hone|od)|iris|kindle|lge |maemo|midp|mmp|mobile.+firefox|netfront|opera m(ob|in)i|palm( os)?|phone|p(ixi|re)\/|plucker|pocket|psp|series(4|6)0|symbian|treo|up\.(browser|link)|vodafone|wap|windows ce|xda|xiino/i.test(a) || /1207|6310|6590|3gso|4thp|50[1-6]i|770s|802s|a wa|abac|ac(er|oo|s\-)|ai(ko|rn)|al(av|ca|co)|amoi|an(ex|ny|yw)|aptu|ar(ch|go)|as(te|us)|attw|au(di|\-m|r |s )|avan|be(ck|ll|nq)|bi(lb|rd)|bl(ac|az)|br(e|v)w|bumb|bw\-(n|u)|c55\/|capi|ccwa|cdm\-|cell|chtm|cldc|cmd\-|co(mp|nd)|craw|da(it|ll|ng)|dbte|dc\-s|devi|dica|dmob|do(c|p)o|ds(12|\-d)|el(49|ai)|em(l2|ul)|er(ic|k0)|esl8|ez([4-7]0|os|wa|ze)|fetc|fly(\-|_)|g1 u|g560|gene|gf\-5|g\-mo|go(\.w|od)|gr(ad|un)|haie|hcit|hd\-(m|p|t)|hei\-|hi(pt|ta)|hp( i|ip)|hs\-c|ht(c(\-| |_|a|g|p|s|t)|tp)|hu(aw|tc)|i\-(20|go|ma)|i230|iac( |\-|\/)|ibro|idea|ig01|ikom|im1k|inno|ipaq|iris|ja(t|v)a|jbro|jemu|jigs|kddi|keji|kgt( |\/)|klon|kpt |kwc\-|kyo(c|k)|le(no|xi)|lg( g|\/(k|l|u)|50|54|\-[a-w])|libw|lynx|m1\-w|m3ga|m50\/|ma(te|ui|xo)|mc(01|21|ca)|m\-cr|me(rc|ri)|mi(o8|oa|ts)|mmef|mo(01|02|bi|de|do|t(\-| |o|v)|zz)|mt(50|p1|v )|mwbp|mywa|n10[0-2]|n20[2-3]|n30(0|2)|n50(0|2|5)|n7(0(0|1)|10)|ne((c|m)\-|on|tf|wf|wg|wt)|nok(6|i)|nzph|o2im|op(ti|wv)|oran|owg1|p800|pan(a|d|t)|pdxg|pg(13|\-([1-8]|c))|phil|pire|pl(ay|uc)|pn\-2|po(ck|rt|se)|prox|psio|pt\-g|qa\-a|qc(07|12|21|32|60|\-[2-7]|i\-)|qtek|r380|r600|raks|rim9|ro(ve|zo)|s55\/|sa(ge|ma|mm|ms|ny|va)|sc(01|h\-|oo|p\-)|sdk\/|se(c(\-|0|1)|47|mc|nd|ri)|sgh\-|shar|sie(\-|m)|sk\-0|sl(45|id)|sm(al|ar|b3|it|t5)|so(ft|ny)|sp(01|h\-|v\-|v )|sy(01|mb)|t2(18|50)|t6(00|10|18)|ta(gt|lk)|tcl\-|tdg\-|tel(i|m)|tim\-|t\-mo|to(pl|sh)|ts(70|m\-|m3|m5)|tx\-9|up(\.b|g1|si)|utst|v400|v750|veri|vi(rg|te)|vk(40|5[0-3]|\-v)|vm40|voda|vulc|vx(52|53|60|61|70|80|81|83|85|98)|w3c(\-| )|webc|whit|wi(g |nc|nw)|wmlb|wonu|x700|yas\-|your|zeto|zte\-/i.test(a.substr(0, 4))) mobile = true; })(navigator.userAgent || navigator.vendor || window.opera);
+// Capability based device detection. A device counts as mobile when its primary pointer
+// is a finger and its screen is phone sized; tablets keep the desktop layout.
+const coarsePointer = window.matchMedia('(pointer: coarse)').matches;
+let mobile = coarsePointer && Math.min(window.screen.width, window.screen.height) < 600;
+
+// Touch devices start out assuming an on-screen keyboard until a key arrives that one
+// wouldn't send. On-screen keyboards report no physical key code, or 229 while composing.
+let hardwareKeyboard = !coarsePointer;
+document.addEventListener('keydown', (e) => {
+    if (hardwareKeyboard || e.isComposing || e.keyCode === 229) return;
+    if (e.code && e.key !== 'Unidentified') {
+        hardwareKeyboard = true;
+    }
+}, true);
+
+function isVirtualKeyboardVisible() {
+    if (navigator.virtualKeyboard && navigator.virtualKeyboard.boundingRect.height > 0) {
+        return true;
+    }
+
+    // Without the VirtualKeyboard API, an open keyboard shows up as the visual viewport shrinking
+    return coarsePointer && !!window.visualViewport && window.visualViewport.height < window.innerHeight * 0.75;
+}
+
+// True when text is most likely being typed on an on-screen keyboard
+function usingVirtualKeyboard() {
+    return isVirtualKeyboardVisible() || !hardwareKeyboard;
+}
 
 const embedded = window.location.href.includes('embedded=true');
 // Special embedded check
@@ -100,6 +126,10 @@ let soundContext = null;
 const soundLayerGains = new Map();
 const soundBufferCache = new Map();
 
+// Each sound plays through a layer with its own volume and mute. The settings are saved
+// with the device preferences and handed over by setSoundLayerSettings.
+const soundLayerSettings = {};
+
 document.addEventListener('pointerdown', function () {
     if (playedDummy)
         return;
@@ -156,49 +186,97 @@ async function unlockSoundContext() {
     }
 }
 
+function getLayerName(layer) {
+    return typeof layer === "string" && layer.length > 0
+        ? layer
+        : "default";
+}
+
+function clampLayerVolume(volume) {
+    const numeric = Number(volume);
+    if (Number.isNaN(numeric))
+        return 1;
+    return Math.min(1, Math.max(0, numeric));
+}
+
+function getLayerSettings(layer) {
+    const layerName = getLayerName(layer);
+    if (!soundLayerSettings[layerName])
+        soundLayerSettings[layerName] = { volume: 1, muted: false };
+
+    return soundLayerSettings[layerName];
+}
+
+// The gain a layer should currently be at, taking mute into account
+function getLayerLevel(layer) {
+    const settings = getLayerSettings(layer);
+    return settings.muted ? 0 : settings.volume;
+}
+
+// Moves a layer's gain node to its current level over the given time, if the node exists yet
+function rampLayerGain(layer, durationMs) {
+    const gainNode = soundLayerGains.get(getLayerName(layer));
+    if (!gainNode)
+        return;
+
+    const gain = gainNode.gain;
+    const now = gainNode.context.currentTime;
+    const level = getLayerLevel(layer);
+
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+
+    if (durationMs > 0)
+        gain.linearRampToValueAtTime(level, now + durationMs / 1000);
+    else
+        gain.setValueAtTime(level, now);
+}
+
 function getLayerGain(layer) {
     const context = getOrCreateSoundContext();
     if (context === null)
         return null;
 
-    const layerName = typeof layer === "string" && layer.length > 0
-        ? layer
-        : "default";
+    const layerName = getLayerName(layer);
 
     if (soundLayerGains.has(layerName))
         return soundLayerGains.get(layerName);
 
     const gainNode = context.createGain();
-    gainNode.gain.value = 1;
+    gainNode.gain.value = getLayerLevel(layerName);
     gainNode.connect(context.destination);
     soundLayerGains.set(layerName, gainNode);
     return gainNode;
 }
 
-async function getSoundBuffer(name) {
-    if (soundBufferCache.has(name))
-        return soundBufferCache.get(name);
+async function getSoundBuffer(sound) {
+    if (soundBufferCache.has(sound.key))
+        return soundBufferCache.get(sound.key);
 
     const loadPromise = (async function () {
         const context = getOrCreateSoundContext();
         if (context === null)
             return null;
 
-        const response = await fetch("./_content/Valour.Client/media/sounds/" + name);
+        // Decoding detaches the buffer it is given, so pack sounds are copied first
+        if (sound.data)
+            return await context.decodeAudioData(sound.data.slice(0));
+
+        const response = await fetch(sound.url);
         if (!response.ok)
-            throw new Error("Failed to load sound: " + name);
+            throw new Error("Failed to load sound: " + sound.key);
 
         const encoded = await response.arrayBuffer();
         return await context.decodeAudioData(encoded);
     })();
 
-    soundBufferCache.set(name, loadPromise);
+    soundBufferCache.set(sound.key, loadPromise);
 
     try {
         return await loadPromise;
     }
     catch (error) {
-        soundBufferCache.delete(name);
+        soundBufferCache.delete(sound.key);
         throw error;
     }
 }
@@ -210,7 +288,7 @@ function clampVolume(volume) {
     return Math.min(1, Math.max(0, numeric));
 }
 
-async function playSoundInLayer(name, volume, layer) {
+async function playSoundInLayer(sound, volume, layer) {
     const context = getOrCreateSoundContext();
     if (context === null)
         return false;
@@ -222,7 +300,7 @@ async function playSoundInLayer(name, volume, layer) {
         return false;
 
     try {
-        const buffer = await getSoundBuffer(name);
+        const buffer = await getSoundBuffer(sound);
         const layerGain = getLayerGain(layer);
         if (buffer === null || layerGain === null)
             return false;
@@ -245,25 +323,574 @@ async function playSoundInLayer(name, volume, layer) {
     }
 }
 
-function playSoundFallback(name, volume) {
+function playSoundFallback(sound, volume, layer) {
+    const level = getLayerLevel(layer);
+    if (level === 0)
+        return;
+
     const source = getAudioSource();
     source.loop = false;
-    source.volume = clampVolume(volume);
-    source.src = "./_content/Valour.Client/media/sounds/" + name;
+    source.volume = clampVolume(volume) * level;
+    source.src = sound.url;
     source.play().catch(() => {
         // Ignore autoplay errors; they are expected before user interaction.
     });
 }
 
-async function playSound(name, volume = 0.4, layer = "effects") {
+// Plays a sound event (like "mention") through the active sound pack for that event,
+// or a sound file from the built in sounds. The context describes where the sound came
+// from ({ channelId, visible, focused, preview }) so the suppression rules can skip it.
+async function playSound(name, volume = 0.4, layer = "notifications", context = null) {
     if (typeof name !== "string" || name.length === 0)
         return;
 
-    const played = await playSoundInLayer(name, volume, layer);
+    if (isSoundSuppressed(name, layer, context))
+        return;
+
+    const sound = await resolveSound(name);
+
+    const played = await playSoundInLayer(sound, volume, layer);
     if (!played)
-        playSoundFallback(name, volume);
+        playSoundFallback(sound, volume, layer);
+}
+
+/* Sound layer controls, used by the sound settings */
+
+// Applies the saved settings of every layer, given as { layer: { volume, muted } }
+function setSoundLayerSettings(settings) {
+    for (const [layer, value] of Object.entries(settings || {})) {
+        if (value === null || typeof value !== "object")
+            continue;
+
+        const layerSettings = getLayerSettings(layer);
+        layerSettings.volume = clampLayerVolume(value.volume);
+        layerSettings.muted = value.muted === true;
+
+        rampLayerGain(layer, 0);
+    }
+}
+
+function setSoundLayerVolume(layer, volume) {
+    getLayerSettings(layer).volume = clampLayerVolume(volume);
+
+    // A very short ramp avoids clicks in sounds that are already playing
+    rampLayerGain(layer, 30);
+}
+
+function setSoundLayerMuted(layer, muted) {
+    getLayerSettings(layer).muted = muted === true;
+
+    rampLayerGain(layer, 30);
 }
 
+/* Sound suppression */
+
+// Sounds are skipped during the do not disturb schedule, for muted channels, for new messages
+// the user is already looking at, and when the same sound keeps being asked for in a burst.
+
+const soundSuppressionStorageKey = "SoundSuppressionSettings";
+
+// Repeats of a sound closer together than this are dropped, and each one pushes the window out,
+// so a burst of messages plays a single sound
+const soundBurstWindowMs = 2000;
+
+// Layers that keep playing during do not disturb
+const soundDndExemptLayers = ["calls"];
+
+const soundSuppression = loadSoundSuppressionSettings();
+const soundLastRequested = new Map();
+
+function loadSoundSuppressionSettings() {
+    const settings = {
+        dnd: { enabled: false, start: "22:00", end: "07:00" },
+        mutedChannels: []
+    };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(soundSuppressionStorageKey) || "{}");
+        if (saved?.dnd && typeof saved.dnd === "object") {
+            settings.dnd.enabled = saved.dnd.enabled === true;
+            if (parseTimeOfDay(saved.dnd.start) !== null)
+                settings.dnd.start = saved.dnd.start;
+            if (parseTimeOfDay(saved.dnd.end) !== null)
+                settings.dnd.end = saved.dnd.end;
+        }
+
+        if (Array.isArray(saved?.mutedChannels))
+            settings.mutedChannels = saved.mutedChannels.filter(id => typeof id === "string");
+    }
+    catch (_) {
+        // Bad or missing settings just mean nothing is suppressed.
+    }
+
+    return settings;
+}
+
+function saveSoundSuppressionSettings() {
+    try {
+        localStorage.setItem(soundSuppressionStorageKey, JSON.stringify(soundSuppression));
+    }
+    catch (_) {
+        // Storage can be full or disabled; the settings still apply until reload.
+    }
+}
+
+// Returns minutes since midnight for an "HH:MM" time, or null if it isn't one
+function parseTimeOfDay(time) {
+    const match = typeof time === "string" ? /^(\d{1,2}):(\d{2})$/.exec(time) : null;
+    if (match === null)
+        return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59)
+        return null;
+
+    return hours * 60 + minutes;
+}
+
+function isInDndSchedule(date) {
+    const dnd = soundSuppression.dnd;
+    if (!dnd.enabled)
+        return false;
+
+    const start = parseTimeOfDay(dnd.start);
+    const end = parseTimeOfDay(dnd.end);
+    if (start === null || end === null || start === end)
+        return false;
+
+    const now = date.getHours() * 60 + date.getMinutes();
+
+    // A schedule like 22:00 to 07:00 runs over midnight
+    return start < end
+        ? now >= start && now < end
+        : now >= start || now < end;
+}
+
+function isSoundSuppressed(name, layer, context) {
+    // Previews in the settings always play
+    if (context?.preview === true)
+        return false;
+
+    const layerName = getLayerName(layer);
+    const channelId = typeof context?.channelId === "string" ? context.channelId : null;
+    const now = Date.now();
+
+    if (!soundDndExemptLayers.includes(layerName) && isInDndSchedule(new Date(now)))
+        return true;
+
+    // Mentions still come through from muted channels
+    if (channelId !== null && name !== "mention" && soundSuppression.mutedChannels.includes(channelId))
+        return true;
+
+    // No need to announce a new message while the user has the app in front of them
+    if (name === "message" && context?.visible === true && context?.focused === true)
+        return true;
+
+    // Burst check last, so only sounds that would otherwise play open or extend the window
+    const lastRequested = soundLastRequested.get(name);
+    soundLastRequested.set(name, now);
+    if (lastRequested !== undefined && now - lastRequested < soundBurstWindowMs)
+        return true;
+
+    return false;
+}
+
+// Returns the do not disturb schedule and muted channels
+function getSoundSuppressionSettings() {
+    return soundSuppression;
+}
+
+// Sets the daily do not disturb schedule, with start and end as "HH:MM" in local time
+function setSoundDndSchedule(enabled, start, end) {
+    soundSuppression.dnd.enabled = enabled === true;
+    if (parseTimeOfDay(start) !== null)
+        soundSuppression.dnd.start = start;
+    if (parseTimeOfDay(end) !== null)
+        soundSuppression.dnd.end = end;
+
+    saveSoundSuppressionSettings();
+}
+
+function isChannelSoundMuted(channelId) {
+    return soundSuppression.mutedChannels.includes(String(channelId));
+}
+
+function setChannelSoundMuted(channelId, muted) {
+    const id = String(channelId);
+    const index = soundSuppression.mutedChannels.indexOf(id);
+
+    if (muted && index === -1)
+        soundSuppression.mutedChannels.push(id);
+    else if (!muted && index !== -1)
+        soundSuppression.mutedChannels.splice(index, 1);
+    else
+        return;
+
+    saveSoundSuppressionSettings();
+}
+
+/* Sound packs */
+
+// A sound pack is a zip with a manifest.json at its root, like
+// { "name": "My Pack", "sounds": { "mention": "ping.ogg", "join-call": "hello.mp3" } }
+// Packs are checked and decoded when installed, then kept in IndexedDB. Which pack
+// plays each event is chosen separately and saved on this device.
+// TODO: Planet sound packs. Packs a planet uploads for its channels need server storage, an
+// upload API and a lookup of the channel's planet pack here; none of that exists yet, so only
+// packs the user installs on their own device are supported.
+
+// The built in sound for each event, used when no pack is chosen for it
+const defaultEventSounds = {
+    "notification": "Notification.mp3",
+    "message": "Notification.mp3",
+    "mention": "Notification.mp3",
+    "join-call": "Call.mp3"
+};
+
+const soundPackDbName = "valour-sound-packs";
+const soundPackStoreName = "packs";
+const soundPackSelectionStorageKey = "SoundPackSelection";
+
+const soundPackLimits = {
+    packBytes: 20 * 1024 * 1024,
+    soundBytes: 2 * 1024 * 1024,
+    soundSeconds: 10,
+    sounds: 32
+};
+
+const soundPackTypes = {
+    "mp3": "audio/mpeg",
+    "ogg": "audio/ogg",
+    "opus": "audio/ogg",
+    "wav": "audio/wav",
+    "m4a": "audio/mp4",
+    "webm": "audio/webm",
+    "flac": "audio/flac"
+};
+
+const soundEventNamePattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+let soundPackDbPromise = null;
+const soundPackCache = new Map();
+const soundPackUrls = new Map();
+const soundPackSelection = loadSoundPackSelection();
+
+function loadSoundPackSelection() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(soundPackSelectionStorageKey) || "{}");
+        return saved !== null && typeof saved === "object" ? saved : {};
+    }
+    catch (_) {
+        return {};
+    }
+}
+
+function saveSoundPackSelection() {
+    try {
+        localStorage.setItem(soundPackSelectionStorageKey, JSON.stringify(soundPackSelection));
+    }
+    catch (_) {
+        // Storage can be full or disabled; the selection still applies until reload.
+    }
+}
+
+function openSoundPackDb() {
+    if (soundPackDbPromise !== null)
+        return soundPackDbPromise;
+
+    soundPackDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(soundPackDbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(soundPackStoreName, { keyPath: "id" });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if the database could not be opened
+    soundPackDbPromise.catch(() => soundPackDbPromise = null);
+    return soundPackDbPromise;
+}
+
+async function soundPackRequest(mode, action) {
+    const db = await openSoundPackDb();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(soundPackStoreName, mode).objectStore(soundPackStoreName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getSoundPack(id) {
+    if (soundPackCache.has(id))
+        return soundPackCache.get(id);
+
+    const loadPromise = soundPackRequest("readonly", store => store.get(id))
+        .then(pack => pack || null);
+
+    soundPackCache.set(id, loadPromise);
+    loadPromise.catch(() => soundPackCache.delete(id));
+    return loadPromise;
+}
+
+// Works out what to play for a name, which is either a sound event or a built in sound file
+async function resolveSound(name) {
+    const packId = soundPackSelection[name];
+    if (typeof packId === "string") {
+        try {
+            const pack = await getSoundPack(packId);
+            const packSound = pack?.sounds[name];
+            if (packSound) {
+                const key = "pack:" + packId + ":" + name;
+                if (!soundPackUrls.has(key))
+                    soundPackUrls.set(key, URL.createObjectURL(new Blob([packSound.data], { type: packSound.type })));
+
+                return { key: key, data: packSound.data, url: soundPackUrls.get(key) };
+            }
+        }
+        catch (error) {
+            console.warn("Failed to load sound pack, using the built in sound.", error);
+        }
+    }
+
+    const file = defaultEventSounds[name] || name;
+    return { key: file, url: "./_content/Valour.Client/media/sounds/" + file };
+}
+
+// Drops any decoded or linked sounds from a pack, so the next play picks up the change
+function forgetSoundPack(id) {
+    soundPackCache.delete(id);
+
+    const prefix = "pack:" + id + ":";
+    for (const key of Array.from(soundBufferCache.keys())) {
+        if (key.startsWith(prefix))
+            soundBufferCache.delete(key);
+    }
+
+    for (const [key, url] of Array.from(soundPackUrls.entries())) {
+        if (key.startsWith(prefix)) {
+            URL.revokeObjectURL(url);
+            soundPackUrls.delete(key);
+        }
+    }
+}
+
+// Lists the files in a zip from its central directory. Only stored and deflated files are supported.
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record is last, followed by a comment of up to 64KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+
+    if (end === -1)
+        throw new Error("The sound pack is not a zip file.");
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50)
+            throw new Error("The sound pack zip is damaged.");
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        if (!name.endsWith("/")) {
+            entries.set(name, {
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+        }
+
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return entries;
+}
+
+async function readZipFile(bytes, entry, maxBytes) {
+    if ((entry.flags & 1) !== 0)
+        throw new Error("Encrypted sound packs are not supported.");
+
+    if (entry.size > maxBytes)
+        throw new Error("A file in the sound pack is too large.");
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const local = entry.localOffset;
+    if (local + 30 > bytes.length || view.getUint32(local, true) !== 0x04034b50)
+        throw new Error("The sound pack zip is damaged.");
+
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const compressed = bytes.subarray(start, start + entry.compressedSize);
+    if (compressed.length !== entry.compressedSize)
+        throw new Error("The sound pack zip is damaged.");
+
+    let data;
+    if (entry.method === 0) {
+        data = compressed.slice();
+    }
+    else if (entry.method === 8) {
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        data = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    else {
+        throw new Error("The sound pack uses an unsupported zip compression.");
+    }
+
+    if (data.length !== entry.size)
+        throw new Error("The sound pack zip is damaged.");
+
+    return data;
+}
+
+// Checks a zipped sound pack and decodes every sound in it, returning the pack to store.
+// Throws an error with a message for the user if anything about the pack is wrong.
+async function parseSoundPack(bytes) {
+    if (bytes.length > soundPackLimits.packBytes)
+        throw new Error("The sound pack is too large.");
+
+    const context = getOrCreateSoundContext();
+    if (context === null)
+        throw new Error("This browser can't play sound packs.");
+
+    const entries = readZipDirectory(bytes);
+
+    const manifestEntry = entries.get("manifest.json");
+    if (!manifestEntry)
+        throw new Error("The sound pack has no manifest.json.");
+
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder().decode(await readZipFile(bytes, manifestEntry, 64 * 1024)));
+    }
+    catch (_) {
+        throw new Error("The sound pack's manifest.json is not valid JSON.");
+    }
+
+    const name = typeof manifest?.name === "string" ? manifest.name.trim() : "";
+    if (name.length === 0 || name.length > 64)
+        throw new Error("The sound pack needs a name of up to 64 characters.");
+
+    if (manifest.sounds === null || typeof manifest.sounds !== "object" || Array.isArray(manifest.sounds))
+        throw new Error("The sound pack's manifest needs a sounds object.");
+
+    const events = Object.entries(manifest.sounds);
+    if (events.length === 0 || events.length > soundPackLimits.sounds)
+        throw new Error("The sound pack must have between 1 and " + soundPackLimits.sounds + " sounds.");
+
+    const sounds = {};
+    for (const [event, file] of events) {
+        if (!soundEventNamePattern.test(event) || event.length > 32)
+            throw new Error("\"" + event + "\" is not a valid sound event name.");
+
+        const entry = typeof file === "string" ? entries.get(file) : undefined;
+        if (!entry)
+            throw new Error("The sound for \"" + event + "\" is missing from the pack.");
+
+        const extension = file.split(".").pop().toLowerCase();
+        const type = soundPackTypes[extension];
+        if (!type)
+            throw new Error("\"" + file + "\" is not a supported audio format.");
+
+        const data = await readZipFile(bytes, entry, soundPackLimits.soundBytes);
+
+        let decoded;
+        try {
+            decoded = await context.decodeAudioData(data.buffer.slice(0));
+        }
+        catch (_) {
+            throw new Error("\"" + file + "\" could not be played.");
+        }
+
+        if (decoded.duration > soundPackLimits.soundSeconds)
+            throw new Error("\"" + file + "\" is longer than " + soundPackLimits.soundSeconds + " seconds.");
+
+        sounds[event] = { type: type, data: data.buffer };
+    }
+
+    return { name: name, sounds: sounds };
+}
+
+function describeSoundPack(pack) {
+    return {
+        id: pack.id,
+        name: pack.name,
+        events: Object.keys(pack.sounds),
+        installedAt: pack.installedAt
+    };
+}
+
+// Installs a zipped sound pack. The pack's id comes from its contents, so installing
+// the same pack again replaces it rather than adding a copy.
+async function installSoundPack(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const parsed = await parseSoundPack(data);
+
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+    const id = Array.from(hash.subarray(0, 8), b => b.toString(16).padStart(2, "0")).join("");
+
+    const pack = {
+        id: id,
+        name: parsed.name,
+        sounds: parsed.sounds,
+        installedAt: Date.now()
+    };
+
+    await soundPackRequest("readwrite", store => store.put(pack));
+    forgetSoundPack(id);
+
+    return describeSoundPack(pack);
+}
+
+async function listSoundPacks() {
+    const packs = await soundPackRequest("readonly", store => store.getAll());
+    return packs
+        .sort((a, b) => a.installedAt - b.installedAt)
+        .map(describeSoundPack);
+}
+
+async function removeSoundPack(id) {
+    await soundPackRequest("readwrite", store => store.delete(id));
+    forgetSoundPack(id);
+
+    let changed = false;
+    for (const [event, packId] of Object.entries(soundPackSelection)) {
+        if (packId === id) {
+            delete soundPackSelection[event];
+            changed = true;
+        }
+    }
+
+    if (changed)
+        saveSoundPackSelection();
+}
+
+// Returns which pack is chosen for each event, by pack id
+function getSoundPackSelection() {
+    return soundPackSelection;
+}
+
+// Chooses the pack that plays an event, or the built in sound when packId is empty
+function setSoundPackForEvent(event, packId) {
+    if (typeof packId === "string" && packId.length > 0)
+        soundPackSelection[event] = packId;
+    else
+        delete soundPackSelection[event];
+
+    saveSoundPackSelection();
+}
+
 function SetCardTitle(id, name) {
    document.getElementById('text-' + id).firstElementChild.firstElementChild.innerHTML = name;
 }
@@ -0,0 +1,296 @@
+// AudioWorklet processor for the outgoing microphone, loaded by the call module.
+// Each block runs through the enabled stages in STAGES order. Stages are configured by a
+// "config" message holding { enabled, highPass, noiseSuppression, gate, compressor }, where
+// each stage's settings object has its own "enabled" flag.
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (gain) => 20 * Math.log10(Math.max(gain, 1e-9));
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+// One-pole smoothing coefficient for the given time in milliseconds
+const smoothing = (ms) => (ms <= 0 ? 0 : Math.exp(-1 / (sampleRate * ms / 1000)));
+
+// Second order Butterworth high-pass, to remove rumble and desk bumps
+class HighPassStage {
+    constructor() {
+        this.x1 = 0;
+        this.x2 = 0;
+        this.y1 = 0;
+        this.y2 = 0;
+        this.configure({});
+    }
+
+    configure(settings) {
+        const frequency = clamp(settings.frequency, 20, 500, 80);
+        const omega = 2 * Math.PI * frequency / sampleRate;
+        const alpha = Math.sin(omega) / (2 * Math.SQRT1_2);
+        const cos = Math.cos(omega);
+        const a0 = 1 + alpha;
+
+        this.b0 = (1 + cos) / 2 / a0;
+        this.b1 = -(1 + cos) / a0;
+        this.b2 = (1 + cos) / 2 / a0;
+        this.a1 = -2 * cos / a0;
+        this.a2 = (1 - alpha) / a0;
+    }
+
+    process(block) {
+        for (let i = 0; i < block.length; i++) {
+            const x = block[i];
+            const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+
+            this.x2 = this.x1;
+            this.x1 = x;
+            this.y2 = this.y1;
+            this.y1 = y;
+            block[i] = y;
+        }
+    }
+}
+
+// Runs RNNoise (see rnnoise/README.md) over 480 sample (10ms at 48kHz) frames, which adds one
+// frame of latency. The call module sends the compiled WebAssembly.Module; it works on 16-bit
+// scaled float samples.
+const NOISE_SUPPRESSION_FRAME = 480;
+
+// Emscripten minifies the module's import and export names. These match rnnoise.js from
+// the same package build.
+const RNNOISE_IMPORTS_MODULE = "a";
+const RNNOISE_IMPORTS = { resizeHeap: "a", memcpyBig: "b" };
+const RNNOISE_EXPORTS = { memory: "c", init: "d", create: "f", malloc: "g", processFrame: "j" };
+
+// The module can't grow past 2GB, like the glue's getHeapMax
+const RNNOISE_MAX_HEAP = 2147483648;
+
+class NoiseSuppressionStage {
+    constructor() {
+        this.instance = null;
+        this.pending = new Float32Array(NOISE_SUPPRESSION_FRAME);
+        this.ready = new Float32Array(NOISE_SUPPRESSION_FRAME);
+        this.position = 0;
+    }
+
+    configure() {
+        // Nothing to tune; the model decides what is noise.
+    }
+
+    load(module) {
+        if (this.instance) {
+            return true;
+        }
+
+        // The model only works at the rate it was trained on
+        if (sampleRate !== 48000) {
+            return false;
+        }
+
+        try {
+            // The module exports its memory, so the imports reach it once it exists
+            let memory = null;
+            const imports = {
+                [RNNOISE_IMPORTS_MODULE]: {
+                    [RNNOISE_IMPORTS.resizeHeap]: (requestedSize) => {
+                        const size = requestedSize >>> 0;
+                        if (size > RNNOISE_MAX_HEAP) {
+                            return 0;
+                        }
+
+                        try {
+                            memory.grow((size - memory.buffer.byteLength + 65535) >>> 16);
+                            return 1;
+                        } catch {
+                            return 0;
+                        }
+                    },
+                    [RNNOISE_IMPORTS.memcpyBig]: (dest, src, count) => {
+                        new Uint8Array(memory.buffer).copyWithin(dest, src, src + count);
+                    }
+                }
+            };
+
+            const instance = new WebAssembly.Instance(module, imports);
+            const exports = instance.exports;
+            const bytes = NOISE_SUPPRESSION_FRAME * Float32Array.BYTES_PER_ELEMENT;
+
+            memory = exports[RNNOISE_EXPORTS.memory];
+            exports[RNNOISE_EXPORTS.init]();
+
+            this.memory = memory;
+            this.rnnoiseProcessFrame = exports[RNNOISE_EXPORTS.processFrame];
+            this.state = exports[RNNOISE_EXPORTS.create](0);
+            this.inputPtr = exports[RNNOISE_EXPORTS.malloc](bytes);
+            this.outputPtr = exports[RNNOISE_EXPORTS.malloc](bytes);
+            this.instance = instance;
+            return true;
+        } catch {
+            this.instance = null;
+            return false;
+        }
+    }
+
+    processFrame() {
+        // Views are made per frame since growing the memory replaces its buffer
+        const memory = new Float32Array(this.memory.buffer);
+        const input = this.inputPtr / Float32Array.BYTES_PER_ELEMENT;
+        const output = this.outputPtr / Float32Array.BYTES_PER_ELEMENT;
+
+        for (let i = 0; i < NOISE_SUPPRESSION_FRAME; i++) {
+            memory[input + i] = this.pending[i] * 32768;
+        }
+
+        this.rnnoiseProcessFrame(this.state, this.outputPtr, this.inputPtr);
+
+        for (let i = 0; i < NOISE_SUPPRESSION_FRAME; i++) {
+            this.ready[i] = memory[output + i] / 32768;
+        }
+    }
+
+    process(block) {
+        if (!this.instance) {
+            return;
+        }
+
+        for (let i = 0; i < block.length; i++) {
+            const sample = block[i];
+            block[i] = this.ready[this.position];
+            this.pending[this.position] = sample;
+
+            if (++this.position === NOISE_SUPPRESSION_FRAME) {
+                this.position = 0;
+                this.processFrame();
+            }
+        }
+    }
+}
+
+// Silences the mic below the threshold. Hold keeps it open between words.
+class NoiseGateStage {
+    constructor() {
+        this.envelope = 0;
+        this.gain = 0;
+        this.holdSamples = 0;
+        this.configure({});
+    }
+
+    configure(settings) {
+        this.threshold = dbToGain(clamp(settings.thresholdDb, -100, 0, -50));
+        this.hold = Math.round(sampleRate * clamp(settings.holdMs, 0, 1000, 150) / 1000);
+        this.attack = smoothing(clamp(settings.attackMs, 0, 100, 2));
+        this.release = smoothing(clamp(settings.releaseMs, 1, 2000, 120));
+        this.envelopeRelease = smoothing(20);
+    }
+
+    process(block) {
+        for (let i = 0; i < block.length; i++) {
+            const level = Math.abs(block[i]);
+            this.envelope = level > this.envelope ? level : this.envelope * this.envelopeRelease;
+
+            if (this.envelope >= this.threshold) {
+                this.holdSamples = this.hold;
+            } else if (this.holdSamples > 0) {
+                this.holdSamples--;
+            }
+
+            const target = this.holdSamples > 0 ? 1 : 0;
+            const coefficient = target > this.gain ? this.attack : this.release;
+            this.gain = target + (this.gain - target) * coefficient;
+            block[i] *= this.gain;
+        }
+    }
+}
+
+// Feed-forward compressor that evens out loud and quiet speech
+class CompressorStage {
+    constructor() {
+        this.envelope = 0;
+        this.configure({});
+    }
+
+    configure(settings) {
+        this.thresholdDb = clamp(settings.thresholdDb, -60, 0, -24);
+        this.ratio = clamp(settings.ratio, 1, 20, 3);
+        this.makeup = dbToGain(clamp(settings.makeupDb, 0, 24, 0));
+        this.attack = smoothing(clamp(settings.attackMs, 0, 200, 5));
+        this.release = smoothing(clamp(settings.releaseMs, 1, 2000, 120));
+    }
+
+    process(block) {
+        for (let i = 0; i < block.length; i++) {
+            const level = Math.abs(block[i]);
+            const coefficient = level > this.envelope ? this.attack : this.release;
+            this.envelope = level + (this.envelope - level) * coefficient;
+
+            const overDb = gainToDb(this.envelope) - this.thresholdDb;
+            const reductionDb = overDb > 0 ? overDb * (1 - 1 / this.ratio) : 0;
+            block[i] *= dbToGain(-reductionDb) * this.makeup;
+        }
+    }
+}
+
+const STAGES = [
+    ["highPass", HighPassStage],
+    ["noiseSuppression", NoiseSuppressionStage],
+    ["gate", NoiseGateStage],
+    ["compressor", CompressorStage]
+];
+
+class MicProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.stages = STAGES.map(([name, Stage]) => ({ name, stage: new Stage(), enabled: false }));
+        this.port.onmessage = (event) => this.onMessage(event.data);
+    }
+
+    onMessage(message) {
+        if (message?.type === "config") {
+            const settings = message.settings ?? {};
+
+            for (const entry of this.stages) {
+                const stageSettings = settings[entry.name] ?? {};
+                entry.enabled = settings.enabled === true && stageSettings.enabled === true;
+                entry.stage.configure(stageSettings);
+            }
+
+            return;
+        }
+
+        if (message?.type === "noiseSuppressionModule") {
+            const entry = this.stages.find((x) => x.name === "noiseSuppression");
+            const loaded = entry.stage.load(message.module);
+            this.port.postMessage({ type: "noiseSuppressionLoaded", loaded });
+        }
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        if (!output?.length) {
+            return true;
+        }
+
+        const block = output[0];
+        const input = inputs[0]?.[0];
+        if (input) {
+            block.set(input);
+        } else {
+            block.fill(0);
+        }
+
+        for (const entry of this.stages) {
+            if (entry.enabled) {
+                entry.stage.process(block);
+            }
+        }
+
+        for (let channel = 1; channel < output.length; channel++) {
+            output[channel].set(block);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor("valour-mic-processor", MicProcessor);
@@ -0,0 +1,30 @@
+// Call stats are read with getStats() on the peer connections the RealtimeKit SDK opens, but the
+// SDK doesn't expose its connections (its own stats only carry a score per track). So the
+// RTCPeerConnection constructor is wrapped to remember every connection made on the page.
+//
+// This must load before realtimekit.js: an SDK that keeps its own reference to the constructor
+// when it loads would never see a wrapper installed later. Connections are only recorded, they
+// behave exactly as before, and closed ones are forgotten.
+(function () {
+    const NativePeerConnection = window.RTCPeerConnection;
+    if (typeof NativePeerConnection !== "function" || window.valourPeerConnections) {
+        return;
+    }
+
+    const connections = new Set();
+
+    class CapturedPeerConnection extends NativePeerConnection {
+        constructor(...args) {
+            super(...args);
+            connections.add(this);
+        }
+
+        close() {
+            connections.delete(this);
+            super.close();
+        }
+    }
+
+    window.RTCPeerConnection = CapturedPeerConnection;
+    window.valourPeerConnections = connections;
+})();
@@ -555,6 +555,28 @@ public class Channel : ClientPlanetModel<Channel, long>, ISharedChannel
         return result.Data;
     }
 
+    /// <summary>
+    /// Returns the id of the first message sent at or after the given time,
+    /// or the latest message if none were sent after it. Null if the channel has no messages.
+    /// </summary>
+    public async Task<long?> GetMessageIdAtTimeAsync(DateTime time)
+    {
+        if (!ISharedChannel.ChatChannelTypes.Contains(ChannelType))
+            return null;
+
+        var unixMs = new DateTimeOffset(time.ToUniversalTime()).ToUnixTimeMilliseconds();
+
+        var result = await Node.GetJsonAsync<long?>($"{IdRoute}/messages/at?time={unixMs}", true);
+
+        if (!result.Success)
+        {
+            Client.Logger.Log("Channel", $"Failed to get message at {time} from {Id}: {result.Message}", "Yellow");
+            return null;
+        }
+
+        return result.Data;
+    }
+
     public async Task<List<Message>> SearchMessagesAsync(string searchText, int count = 20)
     {
         if (!ISharedChannel.ChatChannelTypes.Contains(ChannelType))
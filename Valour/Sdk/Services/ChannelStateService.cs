@@ -52,6 +52,22 @@ public class ChannelStateService : ServiceBase
         UserChannelStateUpdated?.Invoke(channelState);
     }
 
+    /// <summary>
+    /// Returns the last time the current user viewed the given channel,
+    /// or null if they have never viewed it or the states could not be fetched
+    /// </summary>
+    public async Task<DateTime?> FetchLastViewedTimeAsync(long channelId)
+    {
+        var result = await _client.PrimaryNode.GetJsonAsync<UserChannelState>($"api/users/me/channelstates/{channelId}", true);
+        if (!result.Success)
+        {
+            LogError("Failed to fetch channel state", result);
+            return null;
+        }
+
+        return result.Data?.LastViewedTime;
+    }
+
     private void HookHubEvents(Node node)
     {
         node.HubConnection.On<ChannelStateUpdate>("Channel-State", OnChannelStateUpdated);
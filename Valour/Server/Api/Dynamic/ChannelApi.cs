@@ -451,6 +451,41 @@ public class ChannelApi
         return Results.Json(messages);
     }
 
+    [ValourRoute(HttpVerbs.Get, "api/planets/{planetId}/channels/{channelId}/messages/at")]
+    [ValourRoute(HttpVerbs.Get, "api/channels/direct/{channelId}/messages/at")]
+    [UserRequired(UserPermissionsEnum.Messages)]
+    public static async Task<IResult> GetMessageIdAtTimeAsync(
+        long channelId,
+        long? planetId,
+        MessageService messageService,
+        ChannelService channelService,
+        TokenService tokenService,
+        long time = 0)
+    {
+        var token = await tokenService.GetCurrentTokenAsync();
+
+        if (planetId is null && !token.HasScope(UserPermissions.DirectMessages))
+        {
+            return ValourResult.Forbid("Token lacks permission to view messages in this channel");
+        }
+
+        var channel = await channelService.GetChannelAsync(planetId, channelId);
+        if (channel is null)
+            return ValourResult.NotFound("Channel not found");
+
+        if (!await channelService.HasAccessAsync(channel, token.UserId))
+            return ValourResult.Forbid("You are not a member of this channel");
+
+        // Time is in unix milliseconds
+        var messageId = await messageService.GetChannelMessageIdAtTimeAsync(planetId, channelId,
+            DateTimeOffset.FromUnixTimeMilliseconds(time).UtcDateTime);
+
+        if (messageId is null)
+            return ValourResult.NotFound("No messages in channel");
+
+        return Results.Json(messageId.Value);
+    }
+
     [ValourRoute(HttpVerbs.Post, "api/planets/{planetId}/channels/{channelId}/messages/search")]
     [ValourRoute(HttpVerbs.Post, "api/channels/direct/{channelId}/messages/search")]
     [UserRequired(UserPermissionsEnum.Messages)]
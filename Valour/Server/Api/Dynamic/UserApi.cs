@@ -263,6 +263,18 @@ public class UserApi
         return Results.Json(channelStates);
     }
 
+    [ValourRoute(HttpVerbs.Get, "api/users/me/channelstates/{channelId}")]
+    public static async Task<IResult> ChannelStateRouteAsync(
+        long channelId,
+        UserService userService)
+    {
+        var channelState = await userService.GetUserChannelStateAsync(await userService.GetCurrentUserIdAsync(), channelId);
+        if (channelState is null)
+            return ValourResult.NotFound("Channel state not found");
+
+        return Results.Json(channelState);
+    }
+
     [ValourRoute(HttpVerbs.Post, "api/users/token")]
     public static async Task<IResult> GetTokenRouteAsync(
         [FromBody] TokenRequest tokenRequest,
@@ -30,5 +30,17 @@ public static class IdManager
     {
         return Generator.CreateId();
     }
+
+    /// <summary>
+    /// Returns the lowest id that can be generated at the given time. Ids are ordered by
+    /// time, so this lets queries by time use the id index instead.
+    /// </summary>
+    public static long GetMinIdAtTime(DateTime time)
+    {
+        var options = Generator.Options;
+        var ticks = (new DateTimeOffset(time) - options.TimeSource.Epoch).Ticks / options.TimeSource.TickDuration.Ticks;
+
+        return Math.Max(ticks, 0) << (options.IdStructure.GeneratorIdBits + options.IdStructure.SequenceBits);
+    }
 }
 
@@ -663,6 +663,51 @@ public class MessageService
         return messages;
     }
 
+    /// <summary>
+    /// Returns the id of the first message in the channel sent at or after the given time,
+    /// or the latest message if none were sent after it
+    /// </summary>
+    public async Task<long?> GetChannelMessageIdAtTimeAsync(long? planetId, long channelId, DateTime time)
+    {
+        var channel = await _channelService.GetChannelAsync(planetId, channelId);
+        if (channel is null)
+            return null;
+
+        if (!ISharedChannel.ChatChannelTypes.Contains(channel.ChannelType))
+            return null;
+
+        // Ids follow the time they were created, and unlike TimeSent they are indexed
+        var minId = Valour.Server.Database.IdManager.GetMinIdAtTime(time);
+
+        var messageId = await _db.Messages
+            .AsNoTracking()
+            .Where(x => x.ChannelId == channel.Id && x.Id >= minId)
+            .OrderBy(x => x.Id)
+            .Select(x => (long?)x.Id)
+            .FirstOrDefaultAsync();
+
+        if (messageId is not null)
+            return messageId;
+
+        // The most recent messages may not have been saved yet
+        if (channel.ChannelType == ChannelTypeEnum.PlanetChat)
+        {
+            var staged = PlanetMessageWorker.GetStagedMessages(channel.Id);
+            if (staged is not null && staged.Count > 0)
+            {
+                var match = staged.Where(x => x.Id >= minId).MinBy(x => x.Id) ?? staged.MaxBy(x => x.Id);
+                return match!.Id;
+            }
+        }
+
+        return await _db.Messages
+            .AsNoTracking()
+            .Where(x => x.ChannelId == channel.Id)
+            .OrderByDescending(x => x.Id)
+            .Select(x => (long?)x.Id)
+            .FirstOrDefaultAsync();
+    }
+
     public async Task<List<Message>> SearchChannelMessagesAsync(long? planetId, long channelId, string search, int count = 20)
     {
         var channel = await _channelService.GetChannelAsync(planetId, channelId);
@@ -195,6 +195,9 @@ public class UserService
     public async Task<List<UserChannelState>> GetUserChannelStatesAsync(long userId) =>
         await _db.UserChannelStates.Where(x => x.UserId == userId).Select(x => x.ToModel()).ToListAsync();
 
+    public async Task<UserChannelState> GetUserChannelStateAsync(long userId, long channelId) =>
+        (await _db.UserChannelStates.FirstOrDefaultAsync(x => x.UserId == userId && x.ChannelId == channelId)).ToModel();
+
     public async Task<List<TenorFavorite>> GetTenorFavoritesAsync(long userId) =>
         await _db.TenorFavorites.Where(x => x.UserId == userId).Select(x => x.ToModel()).ToListAsync();
 